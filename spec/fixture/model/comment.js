@@ -0,0 +1,14 @@
+var Model = require('../../../src/model');
+
+class Comment extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('body', { type: 'string' });
+
+    schema.belongsTo('commentable', { image: 'Image', gallery: 'Gallery' });
+  }
+}
+
+Comment.register();
+
+module.exports = Comment;
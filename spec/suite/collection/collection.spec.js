@@ -212,6 +212,43 @@ describe("Collection", function() {
 
     });
 
+    it("adds some items", function() {
+
+      var collection = new Collection({ data: [1, 2, 5] });
+      var document = new Document();
+      var result = collection.splice(1, 1, 3, document);
+
+      expect(result).toEqual([2]);
+      expect(collection.get()).toEqual([1, 3, document, 5]);
+      expect(document.parents().has(collection)).toBe(true);
+
+    });
+
+  });
+
+  describe(".diff()", function() {
+
+    it("returns modifications as JSON Patch operations", function() {
+
+      var collection = new Collection({ data: [1, 2, 3] });
+      collection.set(0, 5);
+      collection.splice(1, 2);
+
+      expect(collection.diff()).toEqual([
+        { op: 'replace', path: '/0', value: 5 },
+        { op: 'remove', path: '/2' },
+        { op: 'remove', path: '/1' }
+      ]);
+
+      collection.push(6);
+      expect(collection.diff('/items')).toEqual([
+        { op: 'replace', path: '/items/0', value: 5 },
+        { op: 'replace', path: '/items/1', value: 6 },
+        { op: 'remove', path: '/items/2' }
+      ]);
+
+    });
+
   });
 
   describe(".sort()", function() {
@@ -236,6 +273,59 @@ describe("Collection", function() {
 
   });
 
+  describe("change events", function() {
+
+    beforeEach(function() {
+      this.events = [];
+      this.collection = new Collection({ data: [3, 1, 2] });
+      this.collection.on('change', function(event) {
+        this.events.push(event);
+      }.bind(this));
+    });
+
+    it("emits change events on `set()`, `push()` and `unset()`", function() {
+
+      this.collection.set(0, 5);
+      this.collection.push(4);
+      this.collection.unset(1);
+
+      expect(this.events).toEqual([
+        { path: '0', oldValue: 3, newValue: 5, origin: 'set' },
+        { path: '3', oldValue: undefined, newValue: 4, origin: 'push' },
+        { path: '1', oldValue: 1, newValue: undefined, origin: 'unset' }
+      ]);
+
+    });
+
+    it("emits change events on `splice()` and `sort()`", function() {
+
+      this.collection.sort();
+      this.collection.splice(0, 1);
+
+      expect(this.events).toEqual([
+        { path: '', oldValue: [3, 1, 2], newValue: [1, 2, 3], origin: 'sort' },
+        { path: '', oldValue: [1, 2, 3], newValue: [2, 3], origin: 'splice' }
+      ]);
+
+    });
+
+    it("uses the current index of entities when bubbling", function() {
+
+      var collection = new Collection({ data: [new Document(), new Document()] });
+      collection.on('change', function(event) {
+        this.events.push(event);
+      }.bind(this));
+
+      var document = collection.get(1);
+      collection.unset(0);
+      document.set('title', 'Hello');
+
+      expect(this.events.map(function(event) { return event.path; })).toEqual(['0', '0.title']);
+
+    });
+
+  });
+
   describe(".has()", function() {
 
     it("returns true if a element exist", function() {
@@ -564,6 +654,25 @@ describe("Collection", function() {
 
     });
 
+    it("supports compound primary keys", function() {
+
+      class MyRevision extends MyModel {
+        static _define(schema) {
+          schema.lock(false);
+          schema.key(['id', 'type']);
+        }
+      }
+
+      var collection = new Collection({ data: [
+        new MyRevision({ data: { id: 1, type: 'type1'} }),
+        new MyRevision({ data: { id: 1, type: 'type2'} })
+      ] });
+
+      expect(collection.indexOfId([1, 'type2'])).toBe(1);
+      expect(collection.indexOfId([2, 'type2'])).toBe(-1);
+
+    });
+
     it("returns -1 when the id doesn't exists", function() {
 
       var collection = new Collection({ data: [
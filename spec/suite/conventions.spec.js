@@ -18,6 +18,7 @@ describe("Conventions", function() {
       expect(conventions.apply('source', 'MyPost')).toBe('my_post');
       expect(conventions.apply('reference', 'MyPost')).toBe('my_post_id');
       expect(conventions.apply('references', 'MyPost')).toBe('my_post_ids');
+      expect(conventions.apply('referenceType', 'MyPost')).toBe('my_post_type');
       expect(conventions.apply('field', 'MyPost')).toBe('my_post');
       expect(conventions.apply('single', 'tag')).toBe('tag');
       expect(conventions.apply('multiple', 'tag')).toBe('tags');
@@ -30,6 +31,7 @@ describe("Conventions", function() {
       expect(conventions.apply('source', 'MyComments')).toBe('my_comments');
       expect(conventions.apply('reference', 'MyComments')).toBe('my_comment_id');
       expect(conventions.apply('references', 'MyComments')).toBe('my_comment_ids');
+      expect(conventions.apply('referenceType', 'MyComments')).toBe('my_comment_type');
       expect(conventions.apply('field', 'MyComments')).toBe('my_comment');
       expect(conventions.apply('single', 'tags')).toBe('tag');
       expect(conventions.apply('multiple', 'tags')).toBe('tags');
@@ -64,6 +66,7 @@ describe("Conventions", function() {
         'key',
         'multiple',
         'reference',
+        'referenceType',
         'references',
         'single',
         'source'
@@ -1071,6 +1071,288 @@ describe("Document", function() {
 
   });
 
+  describe(".clone()", function() {
+
+    it("deep clones a document", function() {
+
+      var document = new Document({ data: { title: 'Hello', user: { name: 'Bob' }, comments: [{ body: 'A' }] } });
+      var clone = document.clone();
+
+      expect(clone).toBeAnInstanceOf(Document);
+      expect(clone.data()).toEqual(document.data());
+      expect(clone.get('user')).not.toBe(document.get('user'));
+      expect(clone.get('comments')).not.toBe(document.get('comments'));
+
+      clone.set('user.name', 'Alice');
+      clone.get('comments').push({ body: 'B' });
+      expect(document.data()).toEqual({ title: 'Hello', user: { name: 'Bob' }, comments: [{ body: 'A' }] });
+
+    });
+
+  });
+
+  describe(".diff()", function() {
+
+    it("returns modifications as JSON Patch operations", function() {
+
+      var document = new Document({ data: { title: 'Hello', body: 'World', 'a/b': 'c' } });
+
+      document.set('title', 'Hi');
+      document.set('summary', 'Foo');
+      document.unset('body');
+      document.set('a/b', 'd');
+
+      expect(document.diff()).toEqual([
+        { op: 'replace', path: '/title', value: 'Hi' },
+        { op: 'remove', path: '/body' },
+        { op: 'replace', path: '/a~1b', value: 'd' },
+        { op: 'add', path: '/summary', value: 'Foo' }
+      ]);
+
+    });
+
+    it("diffs nested documents and collections", function() {
+
+      var document = new Document({ data: { user: { name: 'Bob' }, comments: [{ body: 'A' }, { body: 'B' }] } });
+
+      document.set('user.name', 'Alice');
+      document.get('comments').get(1).set('body', 'C');
+      document.get('comments').push({ body: 'D' });
+
+      expect(document.diff()).toEqual([
+        { op: 'replace', path: '/user/name', value: 'Alice' },
+        { op: 'replace', path: '/comments/1/body', value: 'C' },
+        { op: 'add', path: '/comments/2', value: { body: 'D' } }
+      ]);
+
+    });
+
+    it("returns an empty patch for unmodified documents", function() {
+
+      var document = new Document({ data: { title: 'Hello', comments: [{ body: 'A' }] } });
+      expect(document.diff()).toEqual([]);
+
+    });
+
+  });
+
+  describe(".patch()", function() {
+
+    it("applies `add`, `replace` and `remove` operations", function() {
+
+      var document = new Document({ data: { title: 'Hello', body: 'World', comments: [{ body: 'A' }] } });
+
+      document.patch([
+        { op: 'replace', path: '/title', value: 'Hi' },
+        { op: 'remove', path: '/body' },
+        { op: 'add', path: '/user', value: { name: 'Bob' } },
+        { op: 'add', path: '/comments/0', value: { body: 'B' } },
+        { op: 'add', path: '/comments/-', value: { body: 'C' } },
+        { op: 'replace', path: '/comments/1/body', value: 'D' }
+      ]);
+
+      expect(document.data()).toEqual({
+        title: 'Hi',
+        user: { name: 'Bob' },
+        comments: [{ body: 'B' }, { body: 'D' }, { body: 'C' }]
+      });
+      expect(document.get('user')).toBeAnInstanceOf(Document);
+      expect(document.get('comments.0')).toBeAnInstanceOf(Document);
+
+    });
+
+    it("applies `move`, `copy` and `test` operations", function() {
+
+      var document = new Document({ data: { title: 'Hello', comments: [{ body: 'A' }, { body: 'B' }] } });
+      var comment = document.get('comments.0');
+
+      document.patch([
+        { op: 'test', path: '/comments/0', value: { body: 'A' } },
+        { op: 'move', from: '/comments/0', path: '/comments/-' },
+        { op: 'copy', from: '/title', path: '/summary' }
+      ]);
+
+      expect(document.data()).toEqual({ title: 'Hello', summary: 'Hello', comments: [{ body: 'B' }, { body: 'A' }] });
+      expect(document.get('comments.1')).toBe(comment);
+
+    });
+
+    it("applies the patch of another document", function() {
+
+      var document = new Document({ data: { title: 'Hello', comments: [{ body: 'A' }, { body: 'B' }] } });
+      var copy = new Document({ data: document.data() });
+
+      document.set('title', 'Hi');
+      document.get('comments').splice(0, 1);
+      document.get('comments').get(0).set('author', 'Bob');
+
+      copy.patch(document.diff());
+      expect(copy.data()).toEqual(document.data());
+
+    });
+
+    it("runs watchers", function() {
+
+      var paths = [];
+      var document = new Document({ data: { comments: [{ body: 'A' }] } });
+      document.watch('comments', function(path) {
+        paths.push(path);
+      });
+
+      document.patch({ op: 'remove', path: '/comments/0' });
+      expect(paths).toEqual([['comments', '0']]);
+
+    });
+
+    it("throws an exception when a test operation fails", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+
+      var closure = function() {
+        document.patch([{ op: 'test', path: '/title', value: 'Hi' }]);
+      };
+      expect(closure).toThrow(new Error("JSON Patch test failed for path `'/title'`."));
+
+    });
+
+    it("restores the document when an operation fails", function() {
+
+      var document = new Document({ data: { title: 'Hello', user: { name: 'Bob' }, comments: [{ body: 'A' }, { body: 'B' }] } });
+      var comments = document.get('comments');
+      var first = comments.get(0);
+      var user = document.get('user');
+
+      var closure = function() {
+        document.patch([
+          { op: 'replace', path: '/title', value: 'World' },
+          { op: 'remove', path: '/user/name' },
+          { op: 'move', from: '/comments/0', path: '/comments/-' },
+          { op: 'add', path: '/comments/0', value: { body: 'C' } },
+          { op: 'test', path: '/title', value: 'Hello' }
+        ]);
+      };
+      expect(closure).toThrow(new Error("JSON Patch test failed for path `'/title'`."));
+
+      expect(document.data()).toEqual({ title: 'Hello', user: { name: 'Bob' }, comments: [{ body: 'A' }, { body: 'B' }] });
+      expect(document.get('user')).toBe(user);
+      expect(document.get('comments')).toBe(comments);
+      expect(comments.get(0)).toBe(first);
+      expect(first.parents().has(comments)).toBe(true);
+      expect(document.modified()).toBe(false);
+
+    });
+
+    it("throws an exception on invalid paths", function() {
+
+      var document = new Document({ data: { title: 'Hello', comments: [{ body: 'A' }] } });
+
+      var closure = function() {
+        document.patch([{ op: 'replace', path: '/body', value: 'World' }]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch path `'/body'`."));
+
+      closure = function() {
+        document.patch([{ op: 'add', path: '/comments/2', value: { body: 'B' } }]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch path `'/comments/2'`."));
+
+      closure = function() {
+        document.patch([{ op: 'remove', path: '/user/name' }]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch path `'/user/name'`."));
+
+      closure = function() {
+        document.patch([{ op: 'remove', path: 'title' }]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch path `'title'`."));
+
+    });
+
+    it("throws an exception on invalid operations", function() {
+
+      var document = new Document();
+
+      var closure = function() {
+        document.patch([{ op: 'merge', path: '/title', value: 'Hello' }]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch operation `'merge'`."));
+
+    });
+
+  });
+
+  describe("change events", function() {
+
+    beforeEach(function() {
+      this.events = [];
+      this.listener = function(event) {
+        this.events.push(event);
+      }.bind(this);
+    });
+
+    it("emits change events with old and new values", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+      document.on('change', this.listener);
+
+      document.set('title', 'World');
+      document.set('title', 'World');
+      document.unset('title');
+
+      expect(this.events).toEqual([
+        { path: 'title', oldValue: 'Hello', newValue: 'World', origin: 'set' },
+        { path: 'title', oldValue: 'World', newValue: undefined, origin: 'unset' }
+      ]);
+
+    });
+
+    it("emits change events on `amend()` and `restore()`", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+      document.on('change', this.listener);
+
+      document.amend({ title: 'World' });
+      document.set('title', 'Foo');
+      document.restore();
+
+      expect(this.events).toEqual([
+        { path: 'title', oldValue: 'Hello', newValue: 'World', origin: 'amend' },
+        { path: 'title', oldValue: 'World', newValue: 'Foo', origin: 'set' },
+        { path: 'title', oldValue: 'Foo', newValue: 'World', origin: 'restore' }
+      ]);
+
+    });
+
+    it("bubbles change events with the full path", function() {
+
+      var document = new Document({ data: { user: { name: 'Bob' }, comments: [{ body: 'Nice' }] } });
+      document.on('change', this.listener);
+
+      document.set('user.name', 'Alice');
+      document.get('comments').get(0).set('body', 'Great');
+      document.get('comments').push({ body: 'Cool' });
+
+      expect(this.events.map(function(event) { return event.path; })).toEqual(['user.name', 'comments.0.body', 'comments.1']);
+      expect(this.events[1].oldValue).toBe('Nice');
+      expect(this.events[1].newValue).toBe('Great');
+      expect(this.events[2].origin).toBe('push');
+
+    });
+
+    it("doesn't throttle change events", function() {
+
+      var document = new Document();
+      document.on('change', this.listener);
+
+      for (var i = 0; i < 5; i++) {
+        document.set('count', i);
+      }
+      expect(this.events.length).toBe(5);
+
+    });
+
+  });
+
   describe(".keys()", function() {
 
     it("extracts keys", function() {
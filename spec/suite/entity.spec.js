@@ -148,6 +148,18 @@ describe("Entity", function() {
 
     });
 
+    it("returns a tuple for compound primary keys", function() {
+
+      MyModel.definition().key(['id', 'revision']);
+
+      var entity = MyModel.create({ id: 123, revision: 2 });
+      expect(entity.id()).toEqual([123, 2]);
+
+      entity = MyModel.create({ id: 123 });
+      expect(entity.id()).toBe(null);
+
+    });
+
     it("throws an exception if the schema has no primary key defined", function() {
 
       var schema = new Schema({ key: null });
@@ -1378,6 +1390,223 @@ describe("Entity", function() {
 
   });
 
+  describe(".diff()/.patch()", function() {
+
+    beforeEach(function() {
+      this.data = {
+        id: 1,
+        name: 'Foo Gallery',
+        detail: { id: 1, description: 'Foo Detail', gallery_id: 1 },
+        images: [
+          { id: 1, name: 'amiga_1200.jpg', gallery_id: 1 },
+          { id: 2, name: 'srinivasa.jpg', gallery_id: 1 }
+        ]
+      };
+    });
+
+    it("diffs relations", function() {
+
+      var gallery = Gallery.create(this.data, { exists: true });
+
+      gallery.get('images').get(0).set('title', 'Amiga 1200');
+      gallery.get('images').push({ name: 'ada.jpg' });
+      gallery.set('detail', { description: 'Bar Detail' });
+
+      expect(gallery.diff()).toEqual([
+        { op: 'replace', path: '/detail', value: { description: 'Bar Detail' } },
+        { op: 'add', path: '/images/0/title', value: 'Amiga 1200' },
+        { op: 'add', path: '/images/2', value: { name: 'ada.jpg', gallery_id: null } }
+      ]);
+
+    });
+
+    it("doesn't loop on circular relations", function() {
+
+      var gallery = Gallery.create(this.data, { exists: true });
+      var image = gallery.get('images').get(0);
+      image.set('gallery', gallery);
+      gallery.set('name', 'Bar Gallery');
+
+      expect(image.diff()).toEqual([
+        { op: 'replace', path: '/gallery/name', value: 'Bar Gallery' }
+      ]);
+      expect(gallery.diff()).toEqual([
+        { op: 'replace', path: '/name', value: 'Bar Gallery' }
+      ]);
+
+    });
+
+    it("patches relations using the schema", function() {
+
+      var gallery = Gallery.create(this.data, { exists: true });
+
+      gallery.patch([
+        { op: 'add', path: '/images/1/title', value: 'Srinivasa Ramanujan' },
+        { op: 'add', path: '/images/-', value: { id: '3', name: 'ada.jpg' } },
+        { op: 'replace', path: '/detail', value: { description: 'Bar Detail' } }
+      ]);
+
+      var image = gallery.get('images').get(2);
+      expect(image).toBeAnInstanceOf(Image);
+      expect(image.get('id')).toBe(3);
+      expect(gallery.get('images').get(1).get('title')).toBe('Srinivasa Ramanujan');
+      expect(gallery.get('detail')).toBeAnInstanceOf(GalleryDetail);
+      expect(gallery.get('detail').get('description')).toBe('Bar Detail');
+
+    });
+
+    it("restores relations when an operation fails", function() {
+
+      var gallery = Gallery.create(this.data, { exists: true });
+      var detail = gallery.get('detail');
+      var image = gallery.get('images').get(0);
+
+      var closure = function() {
+        gallery.patch([
+          { op: 'replace', path: '/detail', value: { description: 'Bar Detail' } },
+          { op: 'remove', path: '/images/0' },
+          { op: 'add', path: '/images/0/gallery', value: { id: 2, name: 'Bar Gallery' } },
+          { op: 'replace', path: '/unexisting/0', value: 'Foo' }
+        ]);
+      };
+      expect(closure).toThrow(new Error("Invalid JSON Patch path `'/unexisting/0'`."));
+
+      expect(gallery.get('detail')).toBe(detail);
+      expect(gallery.get('images').get(0)).toBe(image);
+      expect(gallery.get('images').get(1).get('gallery_id')).toBe(1);
+      expect(gallery.modified()).toBe(false);
+
+    });
+
+  });
+
+  describe(".clone()", function() {
+
+    beforeEach(function() {
+      this.gallery = Gallery.create({
+        id: 1,
+        name: 'Foo Gallery',
+        detail: { id: 1, description: 'Foo Detail', gallery_id: 1 },
+        images: [
+          { id: 1, name: 'amiga_1200.jpg', gallery_id: 1, images_tags: [{ id: 1, image_id: 1, tag_id: 1, tag: { id: 1, name: 'Computer' } }] },
+          { id: 2, name: 'srinivasa.jpg', gallery_id: 1, images_tags: [] }
+        ]
+      }, { exists: true });
+    });
+
+    it("clones an entity with its loaded relations", function() {
+
+      var gallery = this.gallery;
+      var clone = gallery.clone();
+
+      expect(clone).toBeAnInstanceOf(Gallery);
+      expect(clone).not.toBe(gallery);
+      expect(clone.exists()).toBe(true);
+      expect(clone.modified()).toBe(false);
+      expect(clone.data()).toEqual(gallery.data());
+
+      expect(clone.get('detail')).toBeAnInstanceOf(GalleryDetail);
+      expect(clone.get('detail')).not.toBe(gallery.get('detail'));
+      expect(clone.get('images').get(0)).toBeAnInstanceOf(Image);
+      expect(clone.get('images').get(0)).not.toBe(gallery.get('images').get(0));
+      expect(clone.get('images').get(0).get('tags').get(0).get('name')).toBe('Computer');
+
+      clone.set('name', 'Bar Gallery');
+      clone.get('images').get(0).set('title', 'Amiga 1200');
+      expect(gallery.get('name')).toBe('Foo Gallery');
+      expect(gallery.get('images').get(0).has('title')).toBe(false);
+
+    });
+
+    it("keeps shared entities shared", function() {
+
+      var gallery = this.gallery;
+      var tag = gallery.get('images.0.images_tags.0.tag');
+      gallery.get('images.1.images_tags').push({ id: 2, image_id: 2, tag_id: 1, tag: tag });
+
+      var clone = gallery.clone();
+      expect(clone.get('images.1.images_tags.0.tag')).toBe(clone.get('images.0.images_tags.0.tag'));
+      expect(clone.get('images.1.images_tags.0.tag')).not.toBe(tag);
+
+    });
+
+    it("clones some relations only", function() {
+
+      var clone = this.gallery.clone({ embed: ['images'] });
+      expect(clone.has('detail')).toBe(false);
+      expect(clone.get('images').get(0).has('images_tags')).toBe(false);
+      expect(clone.get('images').count()).toBe(2);
+
+      clone = this.gallery.clone({ embed: false });
+      expect(clone.data()).toEqual({ id: 1, name: 'Foo Gallery', tag_ids: [] });
+
+    });
+
+    it("resets primary and foreign keys", function() {
+
+      var clone = this.gallery.clone({ resetKeys: true });
+
+      expect(clone.exists()).toBe(false);
+      expect(clone.has('id')).toBe(false);
+      expect(clone.get('detail').data()).toEqual({ description: 'Foo Detail' });
+      expect(clone.get('images').get(0).exists()).toBe(false);
+      expect(clone.get('images').get(0).has('gallery_id')).toBe(false);
+      expect(clone.get('images.0.images_tags.0').has('image_id')).toBe(false);
+      expect(clone.get('images.0.images_tags.0.tag').data()).toEqual({ name: 'Computer' });
+
+    });
+
+    it("keeps foreign keys of non cloned relations", function() {
+
+      var image = this.gallery.get('images').get(0);
+      var clone = image.clone({ embed: false, resetKeys: true });
+
+      expect(clone.data()).toEqual({ name: 'amiga_1200.jpg', gallery_id: 1 });
+
+    });
+
+    it("sets the exists value of clones", function() {
+
+      var clone = this.gallery.clone({ exists: false });
+      expect(clone.exists()).toBe(false);
+      expect(clone.get('images').get(0).exists()).toBe(false);
+
+      var closure = function() {
+        this.gallery.clone({ resetKeys: true, exists: true });
+      }.bind(this);
+      expect(closure).toThrow(new Error("Clones can't be flagged as existing when their keys are reset."));
+
+    });
+
+    it("doesn't register clones in the shard when unicity is enabled", function() {
+
+      MyModel.unicity(true);
+      var entity = MyModel.create({ id: 1, title: 'Amiga 1200' }, { exists: true });
+
+      var clone = entity.clone({ resetKeys: true });
+      expect(clone).not.toBe(entity);
+      expect(clone.exists()).toBe(false);
+      expect(MyModel.shard().get(1)).toBe(entity);
+      expect(MyModel.create({ id: 1 }, { exists: true })).toBe(entity);
+
+    });
+
+    it("throws an exception when keys of existing entities are kept with unicity enabled", function() {
+
+      MyModel.unicity(true);
+      var entity = MyModel.create({ id: 1, title: 'Amiga 1200' }, { exists: true });
+
+      var closure = function() {
+        entity.clone({ exists: false });
+      };
+      expect(closure).toThrow(new Error("Existing `MyModel` entities can't be cloned with their keys when unicity is enabled, use the `'resetKeys'` option."));
+
+      expect(MyModel.create({ title: 'Srinivasa' }).clone().exists()).toBe(false);
+
+    });
+
+  });
+
   describe(".to('array')", function() {
 
     it("exports data using `'array'` formatter handlers", function() {
@@ -0,0 +1,325 @@
+var co = require('co');
+var Document = require('../../src/').Document;
+var Collection = require('../../src/').Collection;
+var History = require('../../src/').History;
+var Model = require('../../src/').Model;
+var MemorySchema = require('../../src/').MemorySchema;
+var Schema = require('../fixture/schema');
+
+var Gallery = require('../fixture/model/gallery');
+var Image = require('../fixture/model/image');
+
+describe("History", function() {
+
+  describe(".undo()/.redo()", function() {
+
+    it("undoes and redoes changes", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+      var history = new History(document);
+
+      expect(history.canUndo()).toBe(false);
+      document.set('title', 'World');
+      expect(history.canUndo()).toBe(true);
+
+      expect(history.undo()).toBe(true);
+      expect(document.get('title')).toBe('Hello');
+      expect(history.canUndo()).toBe(false);
+      expect(history.canRedo()).toBe(true);
+
+      expect(history.redo()).toBe(true);
+      expect(document.get('title')).toBe('World');
+      expect(history.canRedo()).toBe(false);
+
+    });
+
+    it("returns `false` when there's nothing to undo or redo", function() {
+
+      var history = new History(new Document());
+      expect(history.undo()).toBe(false);
+      expect(history.redo()).toBe(false);
+
+    });
+
+    it("undoes added and unsetted fields", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+      var history = new History(document);
+
+      document.set('body', 'World');
+      history.checkpoint();
+      document.unset('title');
+
+      history.undo();
+      expect(document.data()).toEqual({ title: 'Hello', body: 'World' });
+
+      history.undo();
+      expect(document.data()).toEqual({ title: 'Hello' });
+
+    });
+
+    it("groups changes made in the same tick", function(done) {
+
+      co(function*() {
+        var document = new Document({ data: { title: 'Hello', body: 'Hi' } });
+        var history = new History(document);
+
+        document.set('title', 'World');
+        document.set('body', 'Bye');
+        yield Promise.resolve();
+        document.set('title', 'Foo');
+
+        history.undo();
+        expect(document.data()).toEqual({ title: 'World', body: 'Bye' });
+
+        history.undo();
+        expect(document.data()).toEqual({ title: 'Hello', body: 'Hi' });
+        done();
+      });
+
+    });
+
+    it("clears redoable steps on new changes", function() {
+
+      var document = new Document({ data: { title: 'Hello' } });
+      var history = new History(document);
+
+      document.set('title', 'World');
+      history.undo();
+      document.set('title', 'Foo');
+
+      expect(history.canRedo()).toBe(false);
+      expect(history.redo()).toBe(false);
+      expect(document.get('title')).toBe('Foo');
+
+    });
+
+    it("undoes changes of nested documents", function() {
+
+      var document = new Document({ data: { user: { name: 'Bob' }, comments: [{ body: 'Nice' }] } });
+      var history = new History(document);
+
+      document.set('user.name', 'Alice');
+      document.get('comments').get(0).set('body', 'Great');
+
+      history.undo();
+      expect(document.data()).toEqual({ user: { name: 'Bob' }, comments: [{ body: 'Nice' }] });
+
+      history.redo();
+      expect(document.data()).toEqual({ user: { name: 'Alice' }, comments: [{ body: 'Great' }] });
+
+    });
+
+    it("undoes collection changes", function() {
+
+      var document = new Document({ data: { comments: [{ body: 'A' }, { body: 'B' }, { body: 'C' }] } });
+      var comments = document.get('comments');
+      var first = comments.get(0);
+      var history = new History(document);
+
+      comments.push({ body: 'D' });
+      history.checkpoint();
+      comments.unset(0);
+      history.checkpoint();
+      comments.sort(function(a, b) {
+        return a.get('body') < b.get('body') ? 1 : -1;
+      });
+      history.checkpoint();
+      comments.splice(0, 2);
+
+      var bodies = function() {
+        return comments.get().map(function(comment) { return comment.get('body'); });
+      };
+      expect(bodies()).toEqual(['B']);
+
+      history.undo();
+      expect(bodies()).toEqual(['D', 'C', 'B']);
+
+      history.undo();
+      expect(bodies()).toEqual(['B', 'C', 'D']);
+
+      history.undo();
+      expect(bodies()).toEqual(['A', 'B', 'C', 'D']);
+      expect(comments.get(0)).toBe(first);
+
+      history.undo();
+      expect(bodies()).toEqual(['A', 'B', 'C']);
+
+      while (history.redo()) {}
+      expect(bodies()).toEqual(['B']);
+
+    });
+
+    it("undoes changes of a collection", function() {
+
+      var collection = new Collection({ data: [1, 2, 3] });
+      var history = new History(collection);
+
+      collection.set(0, 5);
+      history.checkpoint();
+      collection.unset(1);
+
+      history.undo();
+      expect(collection.data()).toEqual([5, 2, 3]);
+
+      history.undo();
+      expect(collection.data()).toEqual([1, 2, 3]);
+
+    });
+
+    it("undoes relation replacements", function() {
+
+      var gallery = Gallery.create({ id: 1, name: 'Foo Gallery' }, { exists: true });
+      var image = Image.create({ id: 1, name: 'amiga_1200.jpg', gallery: gallery }, { exists: true });
+      var history = new History(image);
+
+      image.set('gallery', { id: 2, name: 'Bar Gallery' });
+      expect(image.get('gallery_id')).toBe(2);
+
+      history.undo();
+      expect(image.get('gallery')).toBe(gallery);
+      expect(image.get('gallery_id')).toBe(1);
+
+      history.redo();
+      expect(image.get('gallery').get('name')).toBe('Bar Gallery');
+      expect(image.get('gallery_id')).toBe(2);
+
+    });
+
+    it("runs watchers on undo", function() {
+
+      var paths = [];
+      var document = new Document({ data: { title: 'Hello', comments: [{ body: 'A' }] } });
+      var history = new History(document);
+
+      document.watch('title', function(path) {
+        paths.push(path);
+      });
+      document.watch('comments', function(path) {
+        paths.push(path);
+      });
+
+      document.set('title', 'World');
+      document.get('comments').push({ body: 'B' });
+      paths = [];
+
+      history.undo();
+      expect(paths).toEqual([['comments', '1'], ['title']]);
+
+    });
+
+  });
+
+  describe("with persisted entities", function() {
+
+    beforeEach(function() {
+      Model.definition(MemorySchema);
+      Gallery.reset();
+    });
+
+    afterEach(function() {
+      Model.definition(Schema);
+      Gallery.reset();
+    });
+
+    it("ignores amended values", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo Gallery' });
+        var history = new History(gallery);
+        yield gallery.save();
+
+        gallery.set('name', 'Bar Gallery');
+        yield gallery.save();
+
+        history.undo();
+        expect(gallery.get('name')).toBe('Foo Gallery');
+        expect(gallery.id()).toBe(1);
+        expect(gallery.exists()).toBe(true);
+
+        expect(history.undo()).toBe(false);
+        expect(gallery.id()).toBe(1);
+        done();
+      }).catch(done);
+
+    });
+
+  });
+
+  describe(".revertTo()", function() {
+
+    it("reverts to a checkpoint", function() {
+
+      var document = new Document({ data: { title: 'A' } });
+      var history = new History(document);
+
+      var initial = history.checkpoint();
+      document.set('title', 'B');
+      var checkpoint = history.checkpoint();
+      document.set('title', 'C');
+      history.checkpoint();
+      document.set('title', 'D');
+
+      history.revertTo(checkpoint);
+      expect(document.get('title')).toBe('B');
+
+      history.revertTo(initial);
+      expect(document.get('title')).toBe('A');
+
+      history.revertTo(checkpoint);
+      expect(document.get('title')).toBe('B');
+      expect(history.canRedo()).toBe(true);
+
+    });
+
+    it("throws an exception for unreachable checkpoints", function() {
+
+      var document = new Document({ data: { title: 'A' } });
+      var history = new History(document);
+
+      document.set('title', 'B');
+      var checkpoint = history.checkpoint();
+      history.undo();
+      document.set('title', 'C');
+
+      var closure = function() {
+        history.revertTo(checkpoint);
+      };
+      expect(closure).toThrow(new Error("Unreachable checkpoint, the history has been modified since its creation."));
+
+    });
+
+  });
+
+  describe(".detach()", function() {
+
+    it("stops recording changes", function() {
+
+      var document = new Document({ data: { title: 'A' } });
+      var history = new History(document);
+
+      history.detach();
+      document.set('title', 'B');
+      expect(history.canUndo()).toBe(false);
+
+    });
+
+  });
+
+  describe(".clear()", function() {
+
+    it("clears the recorded steps", function() {
+
+      var document = new Document({ data: { title: 'A' } });
+      var history = new History(document);
+
+      document.set('title', 'B');
+      history.clear();
+      expect(history.undo()).toBe(false);
+      expect(document.get('title')).toBe('B');
+
+    });
+
+  });
+
+});
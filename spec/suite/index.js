@@ -1,4 +1,5 @@
 Promise = require('bluebird');
+Promise.config({ asyncHooks: true });
 
 var Model = require('../..').Model;
 var Schema = require('../fixture/schema');
@@ -18,3 +19,8 @@ require('./relationship/belongs-to.spec');
 require('./relationship/has-one.spec');
 require('./relationship/has-many.spec');
 require('./relationship/has-many-through.spec');
+require('./relationship/has-one-through.spec');
+require('./memory/query.spec');
+require('./memory/schema.spec');
+require('./profiler.spec');
+require('./history.spec');
@@ -0,0 +1,396 @@
+var co = require('co');
+var Model = require('../../../src/').Model;
+var Document = require('../../../src/').Document;
+var Collection = require('../../../src/').Collection;
+var MemorySchema = require('../../../src/').MemorySchema;
+var Query = require('../../../src/memory/query');
+
+class Post extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('title', { type: 'string' });
+    schema.column('score', { type: 'integer' });
+    schema.column('published', { type: 'boolean' });
+  }
+
+  static _scopes() {
+    return {
+      published: { conditions: { published: true } },
+      best: function(score) {
+        return { conditions: { score: { '>=': score } }, order: { score: 'DESC' } };
+      }
+    };
+  }
+}
+
+Post._definition = MemorySchema;
+
+describe("Query", function() {
+
+  beforeEach(function(done) {
+    co(function*() {
+      this.schema = Post.definition();
+      var posts = Post.create([
+        { title: 'Amiga 1200', score: 5, published: true },
+        { title: 'Srinivasa Ramanujan', score: 3, published: false },
+        { title: 'Las Vegas', score: 8, published: true },
+        { title: 'Silicon Valley', score: null, published: true }
+      ], { type: 'set' });
+      yield posts.save();
+      done();
+    }.bind(this));
+  });
+
+  afterEach(function() {
+    Post.reset();
+  });
+
+  describe(".constructor()", function() {
+
+    it("throws an exception if `'schema'` is missing", function() {
+
+      var closure = function() {
+        new Query();
+      };
+      expect(closure).toThrow(new Error("Missing `'schema'` option, can't create a query."));
+
+    });
+
+    it("throws an exception on invalid query options", function() {
+
+      var closure = function() {
+        Post.find({ unexisting: true });
+      };
+      expect(closure).toThrow(new Error("Invalid option `'unexisting'` as query options."));
+
+    });
+
+  });
+
+  describe(".conditions()", function() {
+
+    it("filters using equality", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find().conditions({ title: 'Las Vegas' }).all();
+        expect(posts.count()).toBe(1);
+        expect(posts.get(0).get('title')).toBe('Las Vegas');
+        done();
+      });
+
+    });
+
+    it("filters using inclusion", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ conditions: { id: ['1', '3'] } });
+        expect(posts.get().map(function(post) { return post.id(); })).toEqual([1, 3]);
+        done();
+      });
+
+    });
+
+    it("filters `null` values", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ conditions: { score: null } });
+        expect(posts.count()).toBe(1);
+        expect(posts.get(0).get('title')).toBe('Silicon Valley');
+        done();
+      });
+
+    });
+
+    it("filters using operators", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ conditions: { score: { '>=': 5 } } });
+        expect(posts.count()).toBe(2);
+
+        posts = yield Post.all({ conditions: { score: { '>': 3, '<': 8 } } });
+        expect(posts.count()).toBe(1);
+
+        posts = yield Post.all({ conditions: { title: { '<>': 'Las Vegas' } } });
+        expect(posts.count()).toBe(3);
+
+        posts = yield Post.all({ conditions: { title: { ':like': '%valley' } } });
+        expect(posts.count()).toBe(1);
+        done();
+      });
+
+    });
+
+    it("filters using logical operators", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ conditions: {
+          ':or()': [
+            { title: 'Amiga 1200' },
+            { ':and()': [{ published: false }, { score: 3 }] }
+          ]
+        }});
+        expect(posts.count()).toBe(2);
+
+        posts = yield Post.all({ conditions: { ':not()': { published: true } } });
+        expect(posts.count()).toBe(1);
+        done();
+      });
+
+    });
+
+    it("ANDs multiple conditions", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find().where({ published: true }).where({ score: { '>': 5 } }).all();
+        expect(posts.count()).toBe(1);
+        expect(posts.get(0).get('title')).toBe('Las Vegas');
+        done();
+      });
+
+    });
+
+    it("throws an exception on unsupported operators", function(done) {
+
+      Post.all({ conditions: { score: { ':regexp': 'a' } } }).catch(function(e) {
+        expect(e.message).toBe("Unsupported operator `':regexp'` for in-memory queries.");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".order()", function() {
+
+    it("orders results", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ order: { score: 'DESC' } });
+        expect(posts.get().map(function(post) { return post.get('score'); })).toEqual([8, 5, 3, null]);
+
+        posts = yield Post.all({ order: ['published', { title: 'ASC' }] });
+        expect(posts.get().map(function(post) { return post.get('title'); })).toEqual([
+          'Srinivasa Ramanujan', 'Amiga 1200', 'Las Vegas', 'Silicon Valley'
+        ]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".limit()/.offset()/.page()", function() {
+
+    it("slices results", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ limit: 2, offset: 1 });
+        expect(posts.get().map(function(post) { return post.id(); })).toEqual([2, 3]);
+
+        posts = yield Post.all({ limit: 3, page: 2 });
+        expect(posts.get().map(function(post) { return post.id(); })).toEqual([4]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".limitPerParent()", function() {
+
+    it("limits results per group of rows", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find({ order: { score: 'DESC' } }).limitPerParent(['published'], 1).all();
+        expect(posts.get().map(function(post) { return post.id(); })).toEqual([3, 2]);
+
+        posts = yield Post.find({ order: { score: 'DESC' } }).limitPerParent('published', 2).all();
+        expect(posts.get().map(function(post) { return post.id(); })).toEqual([3, 1, 2]);
+        done();
+      }).catch(done);
+
+    });
+
+  });
+
+  describe(".fields()", function() {
+
+    it("returns selected fields only", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ fields: ['id', 'title'], conditions: { id: 1 } }, { 'return': 'object' });
+        expect(posts).toEqual([{ id: 1, title: 'Amiga 1200' }]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".scope()", function() {
+
+    it("applies named scopes", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find().scope('published', ['best', 5]).all();
+        expect(posts.get().map(function(post) { return post.get('title'); })).toEqual(['Las Vegas', 'Amiga 1200']);
+        done();
+      });
+
+    });
+
+    it("applies named scopes using the `'scope'` option", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ scope: { published: true, best: 6 } });
+        expect(posts.count()).toBe(1);
+
+        posts = yield Post.all({ scope: ['best', 4] });
+        expect(posts.count()).toBe(2);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".handler()", function() {
+
+    it("passes the query to the handler", function(done) {
+
+      co(function*() {
+        var posts = yield Post.all({ handler: function(query) {
+          query.conditions({ title: 'Las Vegas' });
+        }});
+        expect(posts.count()).toBe(1);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".get()", function() {
+
+    it("returns a collection of existing entities", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find().get();
+        expect(posts).toBeAnInstanceOf(Collection);
+        expect(posts.count()).toBe(4);
+        posts.forEach(function(post) {
+          expect(post).toBeAnInstanceOf(Post);
+          expect(post.exists()).toBe(true);
+          expect(post.modified()).toBe(false);
+        });
+        done();
+      });
+
+    });
+
+    it("returns plain objects which are copies of stored rows", function(done) {
+
+      co(function*() {
+        var posts = yield Post.find().conditions({ id: 1 }).all({ 'return': 'object' });
+        expect(posts).toEqual([{ id: 1, title: 'Amiga 1200', score: 5, published: true }]);
+
+        posts[0].title = 'Modified';
+        var post = yield Post.load(1);
+        expect(post.get('title')).toBe('Amiga 1200');
+        done();
+      });
+
+    });
+
+    it("returns documents for schemas bound to `Document`", function(done) {
+
+      co(function*() {
+        var schema = new MemorySchema({ source: 'notes' });
+        schema.column('id', { type: 'serial' });
+        schema.column('title', { type: 'string' });
+
+        yield schema.bulkInsert([new Document({ schema: schema, data: { title: 'Hello' } })], function(entity) {
+          return entity.get();
+        });
+
+        var notes = yield schema.query().all();
+        expect(notes.count()).toBe(1);
+        expect(notes.get(0)).toBeAnInstanceOf(Document);
+        expect(notes.get(0).get('title')).toBe('Hello');
+        done();
+      });
+
+    });
+
+    it("throws an exception on invalid return mode", function(done) {
+
+      Post.all({}, { 'return': 'unexisting' }).catch(function(e) {
+        expect(e.message).toBe("Invalid `'unexisting'` mode as `'return'` value");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".first()", function() {
+
+    it("returns the first entity", function(done) {
+
+      co(function*() {
+        var post = yield Post.first({ order: { score: 'DESC' } });
+        expect(post.get('title')).toBe('Las Vegas');
+        done();
+      });
+
+    });
+
+    it("returns `null` when nothing matches", function(done) {
+
+      co(function*() {
+        var post = yield Post.first({ conditions: { title: 'Unexisting' } });
+        expect(post).toBe(null);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".count()", function() {
+
+    it("counts matching rows regardless of limit", function(done) {
+
+      co(function*() {
+        var count = yield Post.find({ conditions: { published: true }, limit: 1 }).count();
+        expect(count).toBe(3);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".aggregate()", function() {
+
+    it("computes aggregates of matching rows grouped by some fields", function(done) {
+
+      co(function*() {
+        var rows = yield Post.find({ conditions: { score: { '>': 3 } }, limit: 1 }).aggregate(['published'], [
+          { name: 'count', type: 'count' },
+          { name: 'sum', type: 'sum', field: 'score' },
+          { name: 'min', type: 'min', field: 'title' },
+          { name: 'max', type: 'max', field: 'score' }
+        ]);
+        expect(rows).toEqual([{ published: true, count: 2, sum: 13, min: 'Amiga 1200', max: 8 }]);
+
+        rows = yield Post.find().aggregate(['published'], [{ name: 'max', type: 'max', field: 'score' }]);
+        expect(rows).toEqual([{ published: true, max: 8 }, { published: false, max: 3 }]);
+        done();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,1031 @@
+var co = require('co');
+var Model = require('../../../src/').Model;
+var MemorySchema = require('../../../src/').MemorySchema;
+var MemoryQuery = require('../../../src/').MemoryQuery;
+var Schema = require('../../fixture/schema');
+
+var Gallery = require('../../fixture/model/gallery');
+var GalleryDetail = require('../../fixture/model/gallery-detail');
+var Image = require('../../fixture/model/image');
+var ImageTag = require('../../fixture/model/image-tag');
+var Tag = require('../../fixture/model/tag');
+var Comment = require('../../fixture/model/comment');
+
+class Account extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('name', { type: 'string' });
+    schema.column('email', { type: 'string' });
+    schema.column('settings', { type: 'object' });
+    schema.column('settings.theme', { type: 'string' });
+    schema.column('settings.lang', { type: 'string' });
+  }
+}
+
+var models = [Gallery, GalleryDetail, Image, ImageTag, Tag, Comment, Account];
+
+class Revision extends Model {
+  static _define(schema) {
+    schema.key(['document_id', 'number']);
+    schema.column('document_id', { type: 'integer' });
+    schema.column('number', { type: 'integer' });
+    schema.column('title', { type: 'string' });
+
+    schema.hasMany('notes', Note, { keys: { document_id: 'document_id', number: 'revision_number' } });
+  }
+}
+
+class Manuscript extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('name', { type: 'string' });
+
+    schema.hasMany('revisions', Revision, { keys: { id: 'document_id' } });
+  }
+}
+
+class Note extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('body', { type: 'string' });
+
+    schema.belongsTo('revision', Revision, { keys: { document_id: 'document_id', revision_number: 'number' } });
+  }
+}
+
+describe("MemorySchema", function() {
+
+  beforeEach(function() {
+    Model.definition(MemorySchema);
+    for (var model of models) {
+      model.reset();
+    }
+  });
+
+  afterEach(function() {
+    Model.definition(Schema);
+    for (var model of models) {
+      model.reset();
+    }
+  });
+
+  describe(".query()", function() {
+
+    it("returns a query bound to the schema and its model", function() {
+
+      var schema = Gallery.definition();
+      var query = schema.query({ query: { conditions: { name: 'Foo' } } });
+
+      expect(query.schema()).toBe(schema);
+      expect(query.model()).toBe(Gallery);
+      expect(query.conditions()).toEqual({ name: 'Foo' });
+
+    });
+
+  });
+
+  describe(".bulkInsert()", function() {
+
+    it("inserts entities and generates their primary keys", function(done) {
+
+      co(function*() {
+        var gallery1 = Gallery.create({ name: 'Foo Gallery' });
+        var gallery2 = Gallery.create({ name: 'Bar Gallery' });
+
+        expect(yield Gallery.create([gallery1, gallery2], { type: 'set' }).save()).toBe(true);
+
+        expect(gallery1.id()).toBe(1);
+        expect(gallery2.id()).toBe(2);
+        expect(gallery1.exists()).toBe(true);
+        expect(gallery1.modified()).toBe(false);
+        expect(Gallery.definition().rows()).toEqual([
+          { id: 1, name: 'Foo Gallery', tag_ids: [] },
+          { id: 2, name: 'Bar Gallery', tag_ids: [] }
+        ]);
+        done();
+      });
+
+    });
+
+    it("keeps defined primary keys", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ id: 10, name: 'Foo Gallery' }).save();
+        var gallery = Gallery.create({ name: 'Bar Gallery' });
+        yield gallery.save();
+        expect(gallery.id()).toBe(11);
+        done();
+      });
+
+    });
+
+    it("rejects duplicated primary keys", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ id: 1, name: 'Foo Gallery' }).save();
+        yield Gallery.definition().bulkInsert([Gallery.create({ id: 1, name: 'Bar Gallery' })], function(entity) {
+          return entity.get();
+        });
+      }).catch(function(e) {
+        expect(e.message).toBe("Duplicate entry `1` for the `id` key of `gallery`.");
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".bulkUpdate()", function() {
+
+    it("updates existing entities", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo Gallery' });
+        yield gallery.save();
+
+        gallery.set('name', 'Bar Gallery');
+        expect(gallery.modified()).toBe(true);
+        yield gallery.save();
+        expect(gallery.modified()).toBe(false);
+
+        var loaded = yield Gallery.load(gallery.id());
+        expect(loaded.get('name')).toBe('Bar Gallery');
+        expect(Gallery.definition().rows().length).toBe(1);
+        done();
+      });
+
+    });
+
+    it("only updates modified fields when `'partial'` is `true`", function(done) {
+
+      co(function*() {
+        yield Account.create({ name: 'Bob', email: 'bob@example.com', settings: { theme: 'light', lang: 'en' } }).save();
+
+        var account1 = yield Account.load(1);
+        var account2 = yield Account.load(1);
+
+        account1.set('name', 'Bobby');
+        account1.set('settings.theme', 'dark');
+        account2.set('email', 'bobby@example.com');
+        account2.set('settings.lang', 'fr');
+
+        yield account1.save({ partial: true });
+        yield account2.save({ partial: true });
+
+        expect(Account.definition().rows()).toEqual([{
+          id: 1, name: 'Bobby', email: 'bobby@example.com', settings: { theme: 'dark', lang: 'fr' }
+        }]);
+        done();
+      });
+
+    });
+
+    it("updates whole entities by default", function(done) {
+
+      co(function*() {
+        yield Account.create({ name: 'Bob', email: 'bob@example.com' }).save();
+
+        var account1 = yield Account.load(1);
+        var account2 = yield Account.load(1);
+
+        account1.set('name', 'Bobby');
+        account2.set('email', 'bobby@example.com');
+
+        yield account1.save();
+        yield account2.save();
+
+        expect(Account.definition().rows()).toEqual([{ id: 1, name: 'Bob', email: 'bobby@example.com' }]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".bulkUpsert()", function() {
+
+    beforeEach(function(done) {
+      co(function*() {
+        yield Image.create([
+          { name: 'amiga_1200.jpg', title: 'Amiga' },
+          { name: 'srinivasa.jpg', title: 'Srinivasa' }
+        ], { type: 'set' }).save();
+        done();
+      });
+    });
+
+    it("upserts entities on their primary key without syncing them", function(done) {
+
+      co(function*() {
+        var spy = spyOn(Image, 'load').and.callThrough();
+        var images = Image.create([
+          { id: 2, name: 'srinivasa.jpg', title: 'Ramanujan' },
+          { name: 'ada.jpg', title: 'Ada' }
+        ], { type: 'set', exists: null });
+
+        expect(yield images.save({ upsert: true })).toBe(true);
+
+        expect(spy).not.toHaveBeenCalled();
+        expect(images.get(0).exists()).toBe(true);
+        expect(images.get(1).exists()).toBe(true);
+        expect(images.get(1).id()).toBe(3);
+        expect(Image.definition().rows().map(function(row) { return row.title; })).toEqual(['Amiga', 'Ramanujan', 'Ada']);
+        done();
+      });
+
+    });
+
+    it("upserts entities on unique columns", function(done) {
+
+      co(function*() {
+        var image = Image.create({ name: 'amiga_1200.jpg', title: 'Amiga 1200' });
+
+        expect(yield image.save({ upsert: 'name' })).toBe(true);
+
+        expect(image.id()).toBe(1);
+        expect(image.exists()).toBe(true);
+        expect(image.modified()).toBe(false);
+        expect(Image.definition().rows().length).toBe(2);
+        expect(Image.definition().rows()[0].title).toBe('Amiga 1200');
+        done();
+      });
+
+    });
+
+    it("calls hooks according to the outcome of each upsert", function(done) {
+
+      co(function*() {
+        var calls = [];
+        ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate'].forEach(function(name) {
+          Image.hook(name, function(entity) {
+            calls.push(name + ':' + entity.get('name'));
+          });
+        });
+
+        var images = Image.create([
+          { id: 2, name: 'srinivasa.jpg', title: 'Ramanujan' },
+          { name: 'ada.jpg', title: 'Ada' }
+        ], { type: 'set', exists: null });
+
+        yield images.save({ upsert: true });
+
+        expect(calls).toEqual([
+          'beforeCreate:srinivasa.jpg',
+          'beforeCreate:ada.jpg',
+          'afterCreate:ada.jpg',
+          'afterUpdate:srinivasa.jpg'
+        ]);
+        done();
+      });
+
+    });
+
+    it("aborts upserts when a `beforeCreate` hook returns `false`", function(done) {
+
+      co(function*() {
+        Image.hook('beforeCreate', function() {
+          return false;
+        });
+
+        var image = Image.create({ id: 2, name: 'srinivasa.jpg', title: 'Ramanujan' });
+
+        expect(yield image.save({ upsert: true })).toBe(false);
+        expect(Image.definition().rows()[1].title).toBe('Srinivasa');
+        done();
+      });
+
+    });
+
+    it("amends the stored creation timestamp of updated entities", function(done) {
+
+      co(function*() {
+        Image.definition().timestamps(true);
+        var created = new Date(2015, 0, 1);
+        yield Image.create({ name: 'ada.jpg', created_at: created }).save();
+        var stored = Image.definition().rows()[2].created_at;
+
+        var image = Image.create({ name: 'ada.jpg', title: 'Ada' });
+        yield image.save({ upsert: 'name' });
+
+        expect(image.get('created_at')).toEqual(created);
+        expect(image.modified()).toBe(false);
+        expect(Image.definition().rows()[2].created_at).toBe(stored);
+        done();
+      });
+
+    });
+
+    it("throws an exception on unexisting conflict target", function(done) {
+
+      co(function*() {
+        yield Image.create({ name: 'ada.jpg' }).save({ upsert: 'unexisting' });
+      }).catch(function(e) {
+        expect(e).toEqual(new Error("Unexisting field `'unexisting'` used as upsert conflict target for `Image`."));
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".remove()/.truncate()", function() {
+
+    it("deletes entities", function(done) {
+
+      co(function*() {
+        var galleries = Gallery.create([{ name: 'Foo Gallery' }, { name: 'Bar Gallery' }], { type: 'set' });
+        yield galleries.save();
+
+        var gallery = galleries.get(0);
+        yield gallery.delete();
+        expect(gallery.exists()).toBe(false);
+        expect(yield Gallery.find().count()).toBe(1);
+        expect(yield Gallery.load(1)).toBe(null);
+        done();
+      });
+
+    });
+
+    it("removes rows matching conditions", function(done) {
+
+      co(function*() {
+        yield Gallery.create([{ name: 'Foo Gallery' }, { name: 'Bar Gallery' }], { type: 'set' }).save();
+
+        yield Gallery.definition().remove({ name: 'Bar Gallery' });
+        expect(Gallery.definition().rows().length).toBe(1);
+
+        yield Gallery.definition().truncate();
+        expect(Gallery.definition().rows().length).toBe(0);
+        done();
+      });
+
+    });
+
+  });
+
+  describe("compound keys", function() {
+
+    beforeEach(function() {
+      Manuscript.reset();
+      Revision.reset();
+      Note.reset();
+    });
+
+    afterEach(function() {
+      Manuscript.reset();
+      Revision.reset();
+      Note.reset();
+    });
+
+    it("inserts, loads & deletes entities", function(done) {
+
+      co(function*() {
+        yield Revision.create([
+          { document_id: 1, number: 1, title: 'Draft' },
+          { document_id: 1, number: 2, title: 'Final' },
+          { document_id: 2, number: 1, title: 'Other' }
+        ], { type: 'set' }).save();
+
+        var revision = yield Revision.load([1, 2]);
+        expect(revision.id()).toEqual([1, 2]);
+        expect(revision.get('title')).toBe('Final');
+
+        var spy = spyOn(Revision.definition(), 'remove').and.callThrough();
+        var revisions = yield Revision.all({ conditions: { number: 1 }, order: 'document_id' });
+        yield Revision.definition().delete(revisions);
+
+        expect(spy).toHaveBeenCalledWith({ ':or()': [
+          { document_id: 1, number: 1 },
+          { document_id: 2, number: 1 }
+        ]});
+        expect(Revision.definition().rows()).toEqual([
+          { document_id: 1, number: 2, title: 'Final' }
+        ]);
+        done();
+      });
+
+    });
+
+    it("rejects duplicated or missing compound keys", function(done) {
+
+      co(function*() {
+        yield Revision.create({ document_id: 1, number: 1 }).save();
+        try {
+          yield Revision.create({ document_id: 1, number: 1 }).save();
+        } catch (e) {
+          expect(e.message).toBe("Duplicate entry `1,1` for the `document_id,number` key of `revision`.");
+        }
+        try {
+          yield Revision.create({ document_id: 1 }).save();
+        } catch (e) {
+          expect(e.message).toBe("Missing values for the `document_id,number` compound key of `revision`, compound keys can't be generated.");
+        }
+        expect(Revision.definition().rows().length).toBe(1);
+        done();
+      }).catch(done);
+
+    });
+
+    it("saves & embeds multi-column keys relations", function(done) {
+
+      co(function*() {
+        var revision = Revision.create({ document_id: 1, number: 2, title: 'Final' });
+        revision.set('notes', [{ body: 'Foo' }, { body: 'Bar' }]);
+        yield revision.save({ embed: 'notes' });
+        yield Revision.create({ document_id: 2, number: 2, title: 'Other' }).save();
+
+        expect(Note.definition().rows()).toEqual([
+          { id: 1, body: 'Foo', document_id: 1, revision_number: 2 },
+          { id: 2, body: 'Bar', document_id: 1, revision_number: 2 }
+        ]);
+
+        var revisions = yield Revision.all({ embed: 'notes', order: 'document_id' });
+        expect(revisions.get(0).get('notes').count()).toBe(2);
+        expect(revisions.get(1).get('notes').count()).toBe(0);
+
+        var notes = yield Note.all({ embed: 'revision' });
+        expect(notes.get(0).get('revision.title')).toBe('Final');
+        expect(notes.get(1).get('revision.title')).toBe('Final');
+
+        var note = Note.create({ body: 'Baz' });
+        note.set('revision', revisions.get(1));
+        expect(note.get('document_id')).toBe(2);
+        expect(note.get('revision_number')).toBe(2);
+        done();
+      }).catch(done);
+
+    });
+
+    it("re-saves multi-column keys relations", function(done) {
+
+      co(function*() {
+        var revision = Revision.create({ document_id: 1, number: 2, title: 'Final' });
+        revision.set('notes', [{ body: 'Foo' }, { body: 'Bar' }]);
+        yield revision.save({ embed: 'notes' });
+
+        revision.set('notes.0.body', 'Qux');
+        revision.get('notes').push({ body: 'Baz' });
+        yield revision.save({ embed: 'notes' });
+
+        expect(Note.definition().rows()).toEqual([
+          { id: 1, body: 'Qux', document_id: 1, revision_number: 2 },
+          { id: 2, body: 'Bar', document_id: 1, revision_number: 2 },
+          { id: 3, body: 'Baz', document_id: 1, revision_number: 2 }
+        ]);
+        done();
+      }).catch(done);
+
+    });
+
+    it("embeds relations to compound keys models", function(done) {
+
+      co(function*() {
+        var manuscript = Manuscript.create({ name: 'Foo' });
+        manuscript.set('revisions', [
+          { number: 1, title: 'Draft' },
+          { number: 2, title: 'Final' }
+        ]);
+        yield manuscript.save({ embed: 'revisions' });
+        yield Manuscript.create({ name: 'Bar' }).save();
+
+        expect(Revision.definition().rows()).toEqual([
+          { document_id: 1, number: 1, title: 'Draft' },
+          { document_id: 1, number: 2, title: 'Final' }
+        ]);
+
+        var manuscripts = yield Manuscript.all({ embed: 'revisions', order: 'id' });
+        expect(manuscripts.get(0).get('revisions').count()).toBe(2);
+        expect(manuscripts.get(0).get('revisions.1.title')).toBe('Final');
+        expect(manuscripts.get(1).get('revisions').count()).toBe(0);
+
+        var manuscript = yield Manuscript.load('1', { embed: 'revisions' });
+        expect(manuscript.get('revisions').count()).toBe(2);
+        done();
+      }).catch(done);
+
+    });
+
+  });
+
+  describe("relationships", function() {
+
+    beforeEach(function(done) {
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo Gallery' });
+        gallery.set('detail', { description: 'Foo Detail' });
+        gallery.get('images').push(Image.create({ name: 'amiga_1200.jpg', title: 'Amiga 1200' }));
+        gallery.get('images').push(Image.create({ name: 'srinivasa.jpg', title: 'Srinivasa Ramanujan' }));
+        gallery.get('images.0.tags').push({ name: 'Computer' });
+        gallery.get('images.0.tags').push({ name: 'Science' });
+        yield gallery.save({ embed: ['detail', 'images.images_tags.tag'] });
+        done();
+      });
+    });
+
+    it("saves nested relations", function(done) {
+
+      co(function*() {
+        expect(yield Gallery.find().count()).toBe(1);
+        expect(yield GalleryDetail.find().count()).toBe(1);
+        expect(yield Image.find().count()).toBe(2);
+        expect(yield ImageTag.find().count()).toBe(2);
+        expect(yield Tag.find().count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("saves clones when unicity is enabled", function(done) {
+
+      co(function*() {
+        Gallery.unicity(true);
+        Image.unicity(true);
+
+        var gallery = yield Gallery.load(1, { embed: ['images'] });
+        var clone = gallery.clone({ resetKeys: true });
+        clone.set('name', 'Bar Gallery');
+        yield clone.save({ embed: 'images' });
+
+        expect(clone.id()).toBe(2);
+        expect(clone.get('images').get(0).get('gallery_id')).toBe(2);
+        expect(Gallery.shard().get(1)).toBe(gallery);
+        expect(Gallery.shard().get(2)).toBe(clone);
+        expect(yield Image.find().count()).toBe(4);
+
+        var loaded = yield Gallery.load(2, { embed: ['images'] });
+        expect(loaded).toBe(clone);
+        expect(loaded.get('images').count()).toBe(2);
+        expect(gallery.get('name')).toBe('Foo Gallery');
+        done();
+      });
+
+    });
+
+    it("embeds relations", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1, { embed: ['detail', 'images.tags'] });
+
+        expect(gallery.get('detail.description')).toBe('Foo Detail');
+        expect(gallery.get('images').count()).toBe(2);
+        expect(gallery.get('images.0.tags').get().map(function(tag) {
+          return tag.get('name');
+        })).toEqual(['Computer', 'Science']);
+        expect(gallery.get('images.1.tags').count()).toBe(0);
+        done();
+      });
+
+    });
+
+    it("diffs loaded relations against their loaded state", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1, { embed: ['detail', 'images.images_tags.tag'] });
+        expect(gallery.diff()).toEqual([]);
+
+        gallery.get('images.0.images_tags.0.tag').set('name', 'Computers');
+        gallery.get('images').unset(1);
+        expect(gallery.diff()).toEqual([
+          { op: 'replace', path: '/images/0/images_tags/0/tag/name', value: 'Computers' },
+          { op: 'remove', path: '/images/1' }
+        ]);
+        done();
+      });
+
+    });
+
+    it("diffs lazy loaded relations against their loaded state", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        var images = yield gallery.fetch('images');
+        expect(gallery.diff()).toEqual([]);
+
+        images.get(0).set('title', 'Amiga');
+        images.unset(1);
+        expect(gallery.diff()).toEqual([
+          { op: 'replace', path: '/images/0/title', value: 'Amiga' },
+          { op: 'remove', path: '/images/1' }
+        ]);
+        done();
+      });
+
+    });
+
+    it("embeds relations using object hydration", function(done) {
+
+      co(function*() {
+        var images = yield Image.all({ embed: ['gallery'], order: 'id' }, { 'return': 'object' });
+
+        expect(images[0].gallery.name).toBe('Foo Gallery');
+        expect(images[1].gallery.name).toBe('Foo Gallery');
+        done();
+      });
+
+    });
+
+    it("lazy loads relations", function(done) {
+
+      co(function*() {
+        var image = yield Image.load(1);
+        var gallery = yield image.fetch('gallery');
+        expect(gallery.get('name')).toBe('Foo Gallery');
+
+        var images = yield gallery.fetch('images');
+        expect(images.count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("lazy loads relations for all entities of the loaded collection", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ name: 'Bar Gallery', images: [{ name: 'ada.jpg' }] }).save({ embed: 'images' });
+        var galleries = yield Gallery.all({ order: 'id' });
+        expect(galleries.get(0).loadedWith()).toBe(galleries);
+
+        var spy = spyOn(Image, 'all').and.callThrough();
+
+        var images = yield galleries.get(0).fetch('images');
+        expect(images.count()).toBe(2);
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        images = yield galleries.get(1).fetch('images');
+        expect(images.count()).toBe(1);
+        expect(images.get(0).get('name')).toBe('ada.jpg');
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        var tags = yield images.get(0).fetch('tags');
+        expect(tags.count()).toBe(0);
+
+        tags = yield galleries.get(0).get('images.0').fetch('tags');
+        expect(tags.count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("lazy loads relations for all entities of a collection created from loaded data", function(done) {
+
+      co(function*() {
+        var galleries = Gallery.create([{ id: 1, name: 'Foo Gallery' }, { id: 2, name: 'Bar Gallery' }], { type: 'set', exists: true });
+        expect(galleries.get(1).loadedWith()).toBe(galleries);
+
+        var spy = spyOn(Image, 'all').and.callThrough();
+
+        yield galleries.get(0).fetch('images');
+        expect(galleries.get(1).has('images')).toBe(true);
+        expect(spy).toHaveBeenCalledTimes(1);
+        done();
+      });
+
+    });
+
+    it("lazy loads relations of entities loaded alone", function(done) {
+
+      co(function*() {
+        var galleries = yield Gallery.all();
+        var gallery = yield Gallery.load(1);
+        var spy = spyOn(galleries.schema(), 'embed').and.callThrough();
+
+        yield gallery.fetch('images');
+        expect(spy).toHaveBeenCalledWith([gallery], 'images');
+        expect(galleries.get(0).has('images')).toBe(false);
+        done();
+      });
+
+    });
+
+    it("embeds, lazy loads & exports `hasOneThrough` relations", function(done) {
+
+      co(function*() {
+        Image.definition().hasOneThrough('gallery_detail', 'gallery', 'detail');
+        yield Image.create({ name: 'orphan.jpg' }).save();
+
+        var images = yield Image.all({ embed: ['gallery_detail'], order: 'id' });
+        expect(images.get(0).get('gallery_detail')).toBeAnInstanceOf(GalleryDetail);
+        expect(images.get(0).get('gallery_detail.description')).toBe('Foo Detail');
+        expect(images.get(1).get('gallery_detail')).toBe(images.get(1).get('gallery.detail'));
+        expect(images.get(2).get('gallery_detail')).toBe(null);
+
+        expect(images.get(0).hierarchy()).toEqual(['gallery.detail', 'gallery_detail']);
+        var data = images.get(0).to('array', { embed: ['gallery_detail'] });
+        expect(data.gallery_detail.description).toBe('Foo Detail');
+
+        var objects = yield Image.all({ embed: ['gallery_detail'], order: 'id' }, { 'return': 'object' });
+        expect(objects[0].gallery_detail.description).toBe('Foo Detail');
+        expect(objects[2].gallery_detail).toBe(null);
+
+        var image = yield Image.load(1);
+        var detail = yield image.fetch('gallery_detail');
+        expect(detail.get('description')).toBe('Foo Detail');
+
+        image = yield Image.load(3);
+        expect(yield image.fetch('gallery_detail')).toBe(null);
+        done();
+      });
+
+    });
+
+    it("sets `hasOneThrough` relations on the intermediate entity", function(done) {
+
+      co(function*() {
+        Image.definition().hasOneThrough('gallery_detail', 'gallery', 'detail');
+
+        var image = Image.create({ name: 'new.jpg', gallery: { name: 'New Gallery' } });
+        image.set('gallery_detail', { description: 'New Detail' });
+        expect(image.get('gallery.detail.description')).toBe('New Detail');
+        image.set('gallery_detail.description', 'Updated Detail');
+        expect(image.get('gallery.detail.description')).toBe('Updated Detail');
+
+        yield image.save({ embed: 'gallery_detail' });
+        expect(GalleryDetail.definition().rows()).toEqual([
+          { id: 1, description: 'Foo Detail', gallery_id: 1 },
+          { id: 2, description: 'Updated Detail', gallery_id: 2 }
+        ]);
+
+        image.unset('gallery_detail');
+        expect(image.get('gallery').has('detail')).toBe(false);
+        done();
+      });
+
+    });
+
+    it("saves & embeds polymorphic relations", function(done) {
+
+      co(function*() {
+        Image.definition().hasMany('comments', 'Comment', { as: 'commentable' });
+
+        var gallery = yield Gallery.load(1);
+        var comment = Comment.create({ body: 'Nice' });
+        comment.set('commentable', gallery);
+        yield comment.save();
+
+        var image = yield Image.load(1);
+        image.set('comments', [{ body: 'Great' }]);
+        yield image.save({ embed: 'comments' });
+
+        expect(Comment.definition().rows()).toEqual([
+          { id: 1, body: 'Nice', commentable_id: 1, commentable_type: 'gallery' },
+          { id: 2, body: 'Great', commentable_id: 1, commentable_type: 'image' }
+        ]);
+
+        var comments = yield Comment.all({ embed: ['commentable.images'], order: 'id' });
+        expect(comments.get(0).get('commentable')).toBeAnInstanceOf(Gallery);
+        expect(comments.get(0).get('commentable.images').count()).toBe(2);
+        expect(comments.get(1).get('commentable')).toBeAnInstanceOf(Image);
+
+        var images = yield Image.all({ embed: ['comments'] });
+        expect(images.get(0).get('comments').count()).toBe(1);
+        expect(images.get(1).get('comments').count()).toBe(0);
+        done();
+      });
+
+    });
+
+    it("applies named scopes on relations & embedded queries", function(done) {
+
+      co(function*() {
+        spyOn(Image, '_scopes').and.returnValue({
+          named: function(name) {
+            return { conditions: { name: name } };
+          }
+        });
+        Gallery.definition().hasMany('amigas', Image, {
+          keys: { id: 'gallery_id' },
+          scope: ['named', 'amiga_1200.jpg']
+        });
+
+        var gallery = yield Gallery.load(1, { embed: ['amigas'] });
+        expect(gallery.get('amigas').count()).toBe(1);
+        expect(gallery.get('amigas.0.name')).toBe('amiga_1200.jpg');
+
+        gallery = yield Gallery.load(1, { embed: { images: { scope: ['named', 'srinivasa.jpg'] } } });
+        expect(gallery.get('images').count()).toBe(1);
+        expect(gallery.get('images.0.name')).toBe('srinivasa.jpg');
+        done();
+      });
+
+    });
+
+    it("embeds a limited number of related entities per parent", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ name: 'Bar Gallery', images: [
+          { name: 'ada.jpg' }, { name: 'babbage.jpg' }, { name: 'turing.jpg' }
+        ] }).save({ embed: 'images' });
+        var spy = spyOn(MemoryQuery.prototype, 'limitPerParent').and.callThrough();
+
+        var galleries = yield Gallery.all({
+          embed: { images: { order: { name: 'DESC' }, limitPerParent: 2 }, 'images.tags': null },
+          order: 'id'
+        });
+
+        expect(spy).toHaveBeenCalledWith('gallery_id', 2);
+        expect(galleries.get(0).get('images').get().map(function(image) {
+          return image.get('name');
+        })).toEqual(['srinivasa.jpg', 'amiga_1200.jpg']);
+        expect(galleries.get(0).get('images.1.tags').count()).toBe(2);
+        expect(galleries.get(1).get('images').get().map(function(image) {
+          return image.get('name');
+        })).toEqual(['turing.jpg', 'babbage.jpg']);
+        done();
+      }).catch(done);
+
+    });
+
+    it("trims related entities per parent when queries don't support `'limitPerParent'`", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ name: 'Bar Gallery', images: [
+          { name: 'ada.jpg' }, { name: 'babbage.jpg' }, { name: 'turing.jpg' }
+        ] }).save({ embed: 'images' });
+
+        var find = Image.find;
+        spyOn(Image, 'find').and.callFake(function(options) {
+          var query = find.call(Image, options);
+          query.limitPerParent = undefined;
+          return query;
+        });
+
+        var galleries = yield Gallery.all({
+          embed: { images: { order: { name: 'DESC' }, limitPerParent: 2 } },
+          order: 'id'
+        });
+
+        expect(galleries.get(0).get('images').get().map(function(image) {
+          return image.get('name');
+        })).toEqual(['srinivasa.jpg', 'amiga_1200.jpg']);
+        expect(galleries.get(1).get('images').get().map(function(image) {
+          return image.get('name');
+        })).toEqual(['turing.jpg', 'babbage.jpg']);
+        done();
+      }).catch(done);
+
+    });
+
+    it("rejects `'limitPerParent'` on non `'hasMany'` relations", function(done) {
+
+      Image.all({ embed: { gallery: { limitPerParent: 1 } } }).catch(function(e) {
+        expect(e.message).toBe("The `'limitPerParent'` option is only supported by `'hasMany'` relations.");
+        done();
+      });
+
+    });
+
+    it("embeds relation aggregates", function(done) {
+
+      co(function*() {
+        var images = yield Image.all({ order: 'id' });
+        images.get(0).set('score', 2.5);
+        images.get(1).set('score', 4);
+        yield images.save();
+        yield Gallery.create({ name: 'Bar Gallery' }).save();
+
+        var galleries = yield Gallery.all({
+          embed: { images: { count: true, sum: 'score', min: 'score', max: ['score', 'name'] } },
+          order: 'id'
+        });
+        var gallery = galleries.get(0);
+
+        expect(gallery.has('images')).toBe(false);
+        expect(gallery.get('images_count')).toBe(2);
+        expect(gallery.get('images_sum_score')).toBe(6.5);
+        expect(gallery.get('images_min_score')).toBe(2.5);
+        expect(gallery.get('images_max_score')).toBe(4);
+        expect(gallery.get('images_max_name')).toBe('srinivasa.jpg');
+        expect(gallery.modified()).toBe(false);
+
+        gallery = galleries.get(1);
+        expect(gallery.get('images_count')).toBe(0);
+        expect(gallery.get('images_sum_score')).toBe(0);
+        expect(gallery.get('images_min_score')).toBe(null);
+        done();
+      });
+
+    });
+
+    it("embeds relation counts using query options & nested paths", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.find().withCount('images').first();
+        expect(gallery.get('images_count')).toBe(2);
+
+        gallery = yield Gallery.load(1, { embed: { images: { count: true, conditions: { name: 'amiga_1200.jpg' } } } });
+        expect(gallery.get('images_count')).toBe(1);
+
+        gallery = yield Gallery.load(1, { embed: { 'images.tags': { count: true } } });
+        expect(gallery.get('images').count()).toBe(2);
+        expect(gallery.get('images.0.tags_count')).toBe(2);
+        expect(gallery.get('images.1.tags_count')).toBe(0);
+
+        var galleries = yield Gallery.all({ embed: { images: { count: true } } }, { 'return': 'object' });
+        expect(galleries[0].images_count).toBe(2);
+        done();
+      });
+
+    });
+
+    it("computes aggregates using a single grouped query", function(done) {
+
+      co(function*() {
+        var spy = spyOn(MemoryQuery.prototype, 'aggregate').and.callThrough();
+        var fetch = spyOn(Image, 'all').and.callThrough();
+
+        var galleries = yield Gallery.all({ embed: { images: { count: true, sum: 'score' } } });
+        expect(galleries.get(0).get('images_count')).toBe(2);
+        expect(Gallery.definition().isVirtual('images_count')).toBe(true);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy).toHaveBeenCalledWith(['gallery_id'], [
+          { name: 'images_count', type: 'count' },
+          { name: 'images_sum_score', type: 'sum', field: 'score' }
+        ]);
+        expect(fetch).not.toHaveBeenCalled();
+        done();
+      });
+
+    });
+
+    it("throws an exception when queries can't compute aggregates", function(done) {
+
+      co(function*() {
+        spyOn(Image, 'find').and.returnValue({});
+        yield Gallery.all({ embed: { images: { count: true } } });
+      }).catch(function(e) {
+        expect(e.message).toBe("Missing `aggregate()` implementation for `Image`'s queries.");
+        done();
+      });
+
+    });
+
+    it("rejects unsupported aggregates", function(done) {
+
+      co(function*() {
+        yield Gallery.load(1, { embed: { tags: { count: true } } }).catch(function(e) {
+          expect(e.message).toBe("Aggregates are only supported by `'key'` linked relations.");
+        });
+        yield Image.load(1, { embed: { tags: { sum: 'id' } } }).catch(function(e) {
+          expect(e.message).toBe("Only counts are supported on `'hasManyThrough'` relations.");
+        });
+        yield Gallery.load(1, { embed: { images: { sum: 'unexisting' } } }).catch(function(e) {
+          expect(e.message).toBe("Unexisting field `'unexisting'` for `Image`, can't compute its sum.");
+          done();
+        });
+      });
+
+    });
+
+    it("embeds key list relations", function(done) {
+
+      co(function*() {
+        yield Gallery.create({ name: 'Bar Gallery', tag_ids: [1, 2] }).save();
+        var gallery = yield Gallery.first({ conditions: { name: 'Bar Gallery' }, embed: 'tags' });
+        expect(gallery.get('tags').count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("saves key list relations", function(done) {
+
+      co(function*() {
+        var tag = yield Tag.load(1);
+        var gallery = Gallery.create({ name: 'Bar Gallery', tags: [tag, { name: 'Landscape' }] });
+        expect(yield gallery.save({ embed: 'tags' })).toBe(true);
+
+        expect(Tag.definition().rows()[2]).toEqual({ id: 3, name: 'Landscape' });
+        expect(gallery.get('tag_ids').data()).toEqual([1, 3]);
+        expect(Gallery.definition().rows()[1].tag_ids).toEqual([1, 3]);
+
+        gallery = yield Gallery.first({ conditions: { name: 'Bar Gallery' }, embed: 'tags' });
+        gallery.get('tags').splice(0, 1);
+        yield gallery.save({ embed: 'tags' });
+
+        expect(Gallery.definition().rows()[1].tag_ids).toEqual([3]);
+        expect(yield Tag.find().count()).toBe(3);
+        done();
+      });
+
+    });
+
+    it("doesn't save key list relations with invalid related entities", function(done) {
+
+      co(function*() {
+        Tag.validator().rule('name', 'not:empty');
+        var gallery = Gallery.create({ name: 'Bar Gallery', tags: [{ name: '' }, { name: 'Landscape' }] });
+        expect(yield gallery.save({ embed: 'tags' })).toBe(false);
+
+        expect(gallery.exists()).toBe(false);
+        expect(gallery.get('tags.0').errors()).toEqual({ name: ['must not be a empty'] });
+        expect(yield Tag.find().count()).toBe(2);
+        expect(Gallery.definition().rows().length).toBe(1);
+        done();
+      }).catch(done);
+
+    });
+
+  });
+
+});
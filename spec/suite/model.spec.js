@@ -3,7 +3,14 @@ var Conventions = require('../../src/conventions');
 var Source = require('../../src/source');
 var Schema = require('../../src/schema');
 var Model = require('../../src/').Model;
+var MemorySchema = require('../../src/').MemorySchema;
+var FixtureSchema = require('../fixture/schema');
+var Gallery = require('../fixture/model/gallery');
+var GalleryDetail = require('../fixture/model/gallery-detail');
 var Image = require('../fixture/model/image');
+var ImageTag = require('../fixture/model/image-tag');
+var Tag = require('../fixture/model/tag');
+var co = require('co');
 
 class MyModel extends Model {
   static _define(schema) {
@@ -15,6 +22,21 @@ class MySchema extends Schema {};
 
 MyModel._definition = MySchema;
 
+class User extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('type', { type: 'string' });
+    schema.column('name', { type: 'string' });
+    schema.inheritance({ field: 'type', map: { admin: Admin, member: Member, moderator: Moderator } });
+  }
+}
+
+class Admin extends User {}
+
+class Member extends User {}
+
+class Moderator extends Member {}
+
 describe("Model", function() {
 
   afterEach(function() {
@@ -320,6 +342,19 @@ describe("Model", function() {
 
     });
 
+    it("builds compound conditions for compound primary keys", function() {
+
+      MyModel.definition().key(['id', 'revision']);
+      var myModelSpy = spyOn(MyModel, 'find').and.callThrough();
+
+      MyModel.load([1, 2]);
+
+      expect(myModelSpy).toHaveBeenCalledWith({
+        conditions: { id: 1, revision: 2 }
+      });
+
+    });
+
   });
 
   describe(".all()", function() {
@@ -369,6 +404,49 @@ describe("Model", function() {
 
   });
 
+  describe(".scopes()/.scope()", function() {
+
+    beforeEach(function() {
+      spyOn(MyModel, '_scopes').and.returnValue({
+        published: { conditions: { published: true } },
+        recent: function(days) {
+          return { conditions: { age: { '<': days } }, order: { age: 'ASC' } };
+        }
+      });
+    });
+
+    it("returns the named scopes", function() {
+
+      expect(Object.keys(MyModel.scopes())).toEqual(['published', 'recent']);
+      expect(Gallery.scopes()).toEqual({});
+
+    });
+
+    it("resolves scopes into query options", function() {
+
+      expect(MyModel.scope('published', ['recent', 7])).toEqual([
+        { conditions: { published: true } },
+        { conditions: { age: { '<': 7 } }, order: { age: 'ASC' } }
+      ]);
+
+      expect(MyModel.scope({ published: true, recent: 7 })).toEqual([
+        { conditions: { published: true } },
+        { conditions: { age: { '<': 7 } }, order: { age: 'ASC' } }
+      ]);
+
+    });
+
+    it("throws an exception on undefined scopes", function() {
+
+      var closure = function() {
+        MyModel.scope('unexisting');
+      };
+      expect(closure).toThrow(new Error("Undefined scope `'unexisting'` for `MyModel`."));
+
+    });
+
+  });
+
   describe(".unicity()", function() {
 
     it("gets/sets unicity", function() {
@@ -420,7 +498,780 @@ describe("Model", function() {
 
     });
 
+    it("keys entities with compound primary keys on their serialized tuple", function() {
+
+      MyModel.definition().key(['id', 'revision']);
+
+      var entity = MyModel.create({ id: 1, revision: 2 }, { exists: true });
+      expect(MyModel.shard().get('[1,2]')).toBe(entity);
+      expect(MyModel.create({ id: 1, revision: 2, title: 'Hello' }, { exists: true })).toBe(entity);
+      expect(MyModel.create({ id: 1, revision: 3 }, { exists: true })).not.toBe(entity);
+
+    });
+
+  });
+
+  describe(".identity()", function() {
+
+    it("returns scalar primary keys as is", function() {
+
+      expect(MyModel.identity(1)).toBe(1);
+
+    });
+
+    it("serializes compound primary keys", function() {
+
+      expect(MyModel.identity([1, 'a'])).toBe('[1,"a"]');
+
+    });
+
+  });
+
+  describe("soft delete", function() {
+
+    beforeEach(function(done) {
+      Model.definition(MemorySchema);
+      Gallery.reset();
+      Image.reset();
+      Gallery.definition().softDelete(true);
+      Image.definition().softDelete(true);
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        gallery.set('images', [{ name: 'amiga_1200.jpg' }, { name: 'srinivasa.jpg' }]);
+        yield gallery.save({ embed: 'images' });
+        yield Gallery.create({ name: 'Bar' }).save();
+        done();
+      });
+    });
+
+    afterEach(function() {
+      Model.definition(FixtureSchema);
+      Gallery.reset();
+      Image.reset();
+    });
+
+    it("flags deleted entities instead of removing them", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        expect(gallery.trashed()).toBe(false);
+        expect(yield gallery.delete()).toBe(true);
+
+        expect(gallery.exists()).toBe(true);
+        expect(gallery.trashed()).toBe(true);
+        expect(gallery.get('deleted_at')).toBeAnInstanceOf(Date);
+        expect(Gallery.definition().rows().length).toBe(2);
+        done();
+      });
+
+    });
+
+    it("excludes trashed rows by default", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        yield gallery.delete();
+
+        expect(yield Gallery.find().count()).toBe(1);
+        expect(yield Gallery.load(1)).toBe(null);
+        expect(yield Gallery.withTrashed().count()).toBe(2);
+
+        var trashed = yield Gallery.onlyTrashed().all();
+        expect(trashed.count()).toBe(1);
+        expect(trashed.get(0).id()).toBe(1);
+
+        trashed = yield Gallery.all({ trashed: 'only' });
+        expect(trashed.count()).toBe(1);
+        done();
+      });
+
+    });
+
+    it("restores trashed entities", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        yield gallery.delete();
+        expect(yield gallery.restore()).toBe(true);
+
+        expect(gallery.trashed()).toBe(false);
+        expect(yield Gallery.find().count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("removes entities using `forceDelete()`", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        yield gallery.forceDelete();
+
+        expect(gallery.exists()).toBe(false);
+        expect(yield Gallery.withTrashed().count()).toBe(1);
+        done();
+      });
+
+    });
+
+    it("syncs the existence of trashed entities", function(done) {
+
+      co(function*() {
+        var gallery = yield Gallery.load(1);
+        yield gallery.delete();
+
+        gallery = Gallery.create({ id: 1 }, { exists: null });
+        gallery.set('name', 'Baz');
+        expect(yield gallery.save()).toBe(true);
+
+        expect(gallery.exists()).toBe(true);
+        expect(Gallery.definition().rows().length).toBe(2);
+        expect(Gallery.definition().rows()[0].name).toBe('Baz');
+        done();
+      }).catch(done);
+
+    });
+
+    it("excludes trashed related entities on eager loading", function(done) {
+
+      co(function*() {
+        var image = yield Image.load(1);
+        yield image.delete();
+
+        var gallery = yield Gallery.load(1, { embed: 'images' });
+        expect(gallery.get('images').count()).toBe(1);
+
+        gallery = yield Gallery.load(1, { embed: { images: { trashed: 'with' } } });
+        expect(gallery.get('images').count()).toBe(2);
+        done();
+      });
+
+    });
+
+    it("throws an exception on invalid trashed mode", function() {
+
+      var closure = function() {
+        Gallery.find({ trashed: 'unexisting' });
+      };
+      expect(closure).toThrow(new Error("Invalid `'unexisting'` value for the `'trashed'` option."));
+
+    });
+
+  });
+
+  describe("cascading deletes", function() {
+
+    var models = [Gallery, GalleryDetail, Image, ImageTag, Tag];
+
+    beforeEach(function(done) {
+      Model.definition(MemorySchema);
+      for (var model of models) {
+        model.reset();
+      }
+
+      co(function*() {
+        var galleries = Gallery.create([
+          { name: 'Foo', detail: { description: 'Foo Detail' }, images: [{ name: 'amiga_1200.jpg', tags: [{ name: 'Computer' }] }, { name: 'srinivasa.jpg' }] },
+          { name: 'Bar', images: [{ name: 'ada.jpg' }] }
+        ], { type: 'set' });
+        yield galleries.save({ embed: ['detail', 'images.images_tags.tag'] });
+        done();
+      });
+    });
+
+    afterEach(function() {
+      Model.definition(FixtureSchema);
+      for (var model of models) {
+        model.reset();
+      }
+    });
+
+    it("deletes related entities recursively", function(done) {
+
+      co(function*() {
+        Gallery.definition().relation('images').onDelete('cascade');
+        Gallery.definition().relation('detail').onDelete('cascade');
+        Image.definition().relation('tags').onDelete('cascade');
+
+        var gallery = yield Gallery.load(1);
+        expect(yield gallery.delete()).toBe(true);
+
+        expect(Gallery.definition().rows().length).toBe(1);
+        expect(GalleryDetail.definition().rows().length).toBe(0);
+        expect(Image.definition().rows().map(function(row) { return row.name; })).toEqual(['ada.jpg']);
+        expect(ImageTag.definition().rows().length).toBe(0);
+        expect(Tag.definition().rows().length).toBe(1);
+        done();
+      });
+
+    });
+
+    it("nullifies related entities", function(done) {
+
+      co(function*() {
+        Gallery.definition().relation('images').onDelete('nullify');
+
+        var gallery = yield Gallery.load(1);
+        expect(yield gallery.delete()).toBe(true);
+
+        expect(Image.definition().rows().map(function(row) { return row.gallery_id; })).toEqual([null, null, 2]);
+        done();
+      });
+
+    });
+
+    it("loads related entities in batch", function(done) {
+
+      co(function*() {
+        Gallery.definition().relation('images').onDelete('cascade');
+        var spy = spyOn(Image, 'all').and.callThrough();
+
+        var galleries = yield Gallery.all();
+        expect(yield galleries.delete()).toBe(true);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(Image.definition().rows().length).toBe(0);
+        done();
+      });
+
+    });
+
+    it("rejects deletes of restricted relations", function(done) {
+
+      co(function*() {
+        Gallery.definition().relation('images').onDelete('cascade');
+        Image.definition().relation('tags').onDelete('restrict');
+
+        var gallery = yield Gallery.load(1);
+        yield gallery.delete().catch(function(e) {
+          expect(e).toEqual(new Error("Can't delete `Image` entities, the `'tags'` relation is restricted and has related entities."));
+        });
+
+        expect(Gallery.definition().rows().length).toBe(2);
+        expect(Image.definition().rows().length).toBe(3);
+        expect(gallery.exists()).toBe(true);
+
+        var gallery = yield Gallery.load(2);
+        expect(yield gallery.delete()).toBe(true);
+        expect(Image.definition().rows().length).toBe(2);
+        done();
+      });
+
+    });
+
+    it("only checks restricted relations on soft deletes", function(done) {
+
+      co(function*() {
+        Gallery.definition().softDelete(true);
+        Gallery.definition().relation('images').onDelete('cascade');
+        Gallery.definition().relation('detail').onDelete('restrict');
+
+        var gallery = yield Gallery.load(2);
+        expect(yield gallery.delete()).toBe(true);
+        expect(Image.definition().rows().length).toBe(3);
+
+        gallery = yield Gallery.load(1);
+        yield gallery.delete().catch(function(e) {
+          expect(e).toEqual(new Error("Can't delete `Gallery` entities, the `'detail'` relation is restricted and has related entities."));
+        });
+        expect(gallery.trashed()).toBe(false);
+        done();
+      });
+
+    });
+
+    it("ignores the `'onDelete'` behavior using the `'cascade'` option", function(done) {
+
+      co(function*() {
+        Gallery.definition().relation('images').onDelete('restrict');
+
+        var gallery = yield Gallery.load(1);
+        expect(yield gallery.delete({ cascade: false })).toBe(true);
+        expect(Image.definition().rows().length).toBe(3);
+        done();
+      });
+
+    });
+
+  });
+
+  describe("Single Table Inheritance", function() {
+
+    beforeEach(function(done) {
+      co(function*() {
+        Model.definition(MemorySchema);
+        yield User.create([
+          { type: 'admin', name: 'Alice' },
+          { type: 'member', name: 'Bob' },
+          { type: 'moderator', name: 'Carol' },
+          { name: 'Dave' }
+        ], { type: 'set' }).save();
+        done();
+      });
+    });
+
+    afterEach(function() {
+      Model.definition(FixtureSchema);
+      for (var model of [User, Admin, Member, Moderator]) {
+        model.reset();
+      }
+    });
+
+    it("shares the source of the root class", function() {
+
+      expect(User.definition().source()).toBe('user');
+      expect(Admin.definition().source()).toBe('user');
+      expect(Moderator.definition().source()).toBe('user');
+      expect(Admin.definition().inheritance().root).toBe(User);
+
+    });
+
+    it("returns the discriminator value of a class", function() {
+
+      expect(User.discriminator()).toBe(undefined);
+      expect(Admin.discriminator()).toBe('admin');
+      expect(Moderator.discriminator()).toBe('moderator');
+      expect(MyModel.discriminator()).toBe(undefined);
+
+    });
+
+    it("creates entities of the discriminated class", function() {
+
+      expect(User.create({ type: 'admin' })).toBeAnInstanceOf(Admin);
+      expect(User.create({ type: 'moderator' })).toBeAnInstanceOf(Moderator);
+      expect(Member.create({ type: 'moderator' })).toBeAnInstanceOf(Moderator);
+      expect(User.create({ name: 'Dave' }).constructor).toBe(User);
+
+    });
+
+    it("ignores discriminator values which are not subclasses", function() {
+
+      expect(Admin.create({ type: 'member' }).constructor).toBe(Admin);
+
+    });
+
+    it("populates the discriminator field of new entities", function() {
+
+      expect(Admin.create().get('type')).toBe('admin');
+      expect(Moderator.create({ name: 'Eve' }).get('type')).toBe('moderator');
+      expect(User.create().get('type')).toBe(null);
+
+    });
+
+    it("hydrates entities of the discriminated class", function(done) {
+
+      co(function*() {
+        var users = yield User.all({ order: 'id' });
+        expect(users.count()).toBe(4);
+        expect(users.get(0)).toBeAnInstanceOf(Admin);
+        expect(users.get(1)).toBeAnInstanceOf(Member);
+        expect(users.get(2)).toBeAnInstanceOf(Moderator);
+        expect(users.get(3).constructor).toBe(User);
+        done();
+      });
+
+    });
+
+    it("scopes finds to the discriminated class and its subclasses", function(done) {
+
+      co(function*() {
+        var admins = yield Admin.all();
+        expect(admins.count()).toBe(1);
+        expect(admins.get(0).get('name')).toBe('Alice');
+
+        var members = yield Member.all({ order: 'id' });
+        expect(members.get().map(function(member) { return member.get('name'); })).toEqual(['Bob', 'Carol']);
+
+        expect(yield Admin.load(2)).toBe(null);
+        expect(yield Moderator.find().count()).toBe(1);
+        done();
+      });
+
+    });
+
+    it("saves subclasses entities in the shared source", function(done) {
+
+      co(function*() {
+        var admin = Admin.create({ name: 'Eve' });
+        yield admin.save();
+        expect(admin.id()).toBe(5);
+
+        var user = yield User.load(5);
+        expect(user).toBeAnInstanceOf(Admin);
+        expect(user.get('type')).toBe('admin');
+        done();
+      });
+
+    });
+
   });
 
+  describe(".hook()", function() {
+
+    it("registers hooks", function() {
+
+      var hook = function() {};
+      expect(MyModel.hook('beforeSave', hook)).toBe(MyModel);
+      expect(MyModel.hooks('beforeSave')).toEqual([hook]);
+      expect(MyModel.hooks('afterSave')).toEqual([]);
+
+    });
+
+    it("throws an exception on invalid hook names", function() {
+
+      var closure = function() {
+        MyModel.hook('beforeUnexisting', function() {});
+      };
+      expect(closure).toThrow(new Error("Invalid hook name `'beforeUnexisting'`."));
+
+    });
+
+    it("inherits parent hooks", function() {
+
+      class MySubModel extends MyModel {};
+
+      var hook1 = function() {};
+      var hook2 = function() {};
+      MyModel.hook('beforeSave', hook1);
+      MySubModel.hook('beforeSave', hook2);
+
+      expect(MySubModel.hooks('beforeSave')).toEqual([hook1, hook2]);
+      expect(MyModel.hooks('beforeSave')).toEqual([hook1]);
+      MySubModel.reset();
+
+    });
+
+    it("registers hooks through `_hooks()`", function() {
+
+      var hook = function() {};
+
+      class MyHookedModel extends Model {
+        static _hooks() {
+          this.hook('afterFetch', hook);
+        }
+      };
+
+      expect(MyHookedModel.hooks('afterFetch')).toEqual([hook]);
+      MyHookedModel.reset();
+      expect(MyHookedModel.hooks('afterFetch')).toEqual([hook]);
+      MyHookedModel.reset();
+
+    });
+
+    it("gets cleared on reset", function() {
+
+      MyModel.hook('beforeSave', function() {});
+      MyModel.reset();
+      expect(MyModel.hooks('beforeSave')).toEqual([]);
+
+    });
+
+  });
+
+  describe(".unhook()", function() {
+
+    it("unregisters a hook", function() {
+
+      var hook1 = function() {};
+      var hook2 = function() {};
+      MyModel.hook('beforeSave', hook1);
+      MyModel.hook('beforeSave', hook2);
+
+      expect(MyModel.unhook('beforeSave', hook1)).toBe(MyModel);
+      expect(MyModel.hooks('beforeSave')).toEqual([hook2]);
+
+    });
+
+    it("unregisters all hooks of a name", function() {
+
+      MyModel.hook('beforeSave', function() {});
+      MyModel.hook('beforeSave', function() {});
+
+      MyModel.unhook('beforeSave');
+      expect(MyModel.hooks('beforeSave')).toEqual([]);
+
+    });
+
+  });
+
+  describe(".callHooks()", function() {
+
+    it("runs hooks in sequence and waits for async ones", function(done) {
+
+      co(function*() {
+        var logs = [];
+        MyModel.hook('beforeSave', function(entity, options) {
+          return new Promise(function(resolve) {
+            setTimeout(function() {
+              logs.push('hook1');
+              resolve();
+            }, 10);
+          });
+        });
+        MyModel.hook('beforeSave', function(entity, options) {
+          logs.push('hook2');
+        });
+
+        var entity = MyModel.create();
+        expect(yield MyModel.callHooks('beforeSave', entity, {})).toBe(true);
+        expect(logs).toEqual(['hook1', 'hook2']);
+        done();
+      });
+
+    });
+
+    it("stops when a hook returns `false`", function(done) {
+
+      co(function*() {
+        var called = false;
+        MyModel.hook('beforeSave', function() {
+          return Promise.resolve(false);
+        });
+        MyModel.hook('beforeSave', function() {
+          called = true;
+        });
+
+        expect(yield MyModel.callHooks('beforeSave', MyModel.create(), {})).toBe(false);
+        expect(called).toBe(false);
+        done();
+      });
+
+    });
+
+  });
+
+  describe("lifecycle hooks", function() {
+
+    beforeEach(function() {
+      Model.definition(MemorySchema);
+      Gallery.reset();
+      Image.reset();
+
+      this.logs = [];
+      var logs = this.logs;
+      Model.HOOKS.forEach(function(name) {
+        [Gallery, Image].forEach(function(model) {
+          model.hook(name, function(entity) {
+            logs.push(name + ':' + model.name + ':' + entity.get('name'));
+          });
+        });
+      });
+    });
+
+    afterEach(function() {
+      Model.definition(FixtureSchema);
+      Gallery.reset();
+      Image.reset();
+    });
+
+    it("fires save, validate & create hooks on inserts", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        expect(yield gallery.save()).toBe(true);
+
+        expect(this.logs).toEqual([
+          'beforeSave:Gallery:Foo',
+          'beforeValidate:Gallery:Foo',
+          'afterValidate:Gallery:Foo',
+          'beforeCreate:Gallery:Foo',
+          'afterCreate:Gallery:Foo',
+          'afterSave:Gallery:Foo'
+        ]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("fires update hooks on updates", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        yield gallery.save({ validate: false });
+        this.logs.length = 0;
+
+        gallery.set('name', 'Bar');
+        yield gallery.save({ validate: false });
+        expect(this.logs).toEqual([
+          'beforeSave:Gallery:Bar',
+          'beforeUpdate:Gallery:Bar',
+          'afterUpdate:Gallery:Bar',
+          'afterSave:Gallery:Bar'
+        ]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("allows hooks to alter the entity before persistence", function(done) {
+
+      co(function*() {
+        Gallery.hook('beforeCreate', function(entity) {
+          entity.set('name', entity.get('name').toUpperCase());
+        });
+        yield Gallery.create({ name: 'Foo' }).save();
+        expect(Gallery.definition().rows()[0].name).toBe('FOO');
+        done();
+      });
+
+    });
+
+    it("aborts the save when a `before*` hook returns `false`", function(done) {
+
+      co(function*() {
+        Gallery.hook('beforeCreate', function() {
+          return Promise.resolve(false);
+        });
+        var gallery = Gallery.create({ name: 'Foo' });
+        expect(yield gallery.save()).toBe(false);
+        expect(gallery.exists()).toBe(false);
+        expect(Gallery.definition().rows()).toEqual([]);
+        expect(this.logs).not.toContain('afterSave:Gallery:Foo');
+        done();
+      }.bind(this));
+
+    });
+
+    it("aborts the validation when `beforeValidate` returns `false`", function(done) {
+
+      co(function*() {
+        Gallery.hook('beforeValidate', function() {
+          return false;
+        });
+        var gallery = Gallery.create({ name: 'Foo' });
+        expect(yield gallery.validates()).toBe(false);
+        expect(this.logs).not.toContain('afterValidate:Gallery:Foo');
+        done();
+      }.bind(this));
+
+    });
+
+    it("fails the validation when `afterValidate` invalidates the entity", function(done) {
+
+      co(function*() {
+        Gallery.hook('afterValidate', function(entity) {
+          entity.invalidate('name', 'is reserved');
+        });
+        var gallery = Gallery.create({ name: 'Foo' });
+        expect(yield gallery.validates()).toBe(false);
+        expect(gallery.errors()).toEqual({ name: ['is reserved'] });
+        done();
+      });
+
+    });
+
+    it("fires hooks for collections and relations", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        gallery.get('images').push({ name: 'amiga_1200.jpg' });
+        gallery.get('images').push({ name: 'srinivasa.jpg' });
+        yield gallery.save({ embed: 'images', validate: false });
+
+        expect(this.logs).toEqual([
+          'beforeSave:Gallery:Foo',
+          'beforeCreate:Gallery:Foo',
+          'afterCreate:Gallery:Foo',
+          'beforeSave:Image:amiga_1200.jpg',
+          'beforeCreate:Image:amiga_1200.jpg',
+          'afterCreate:Image:amiga_1200.jpg',
+          'afterSave:Image:amiga_1200.jpg',
+          'beforeSave:Image:srinivasa.jpg',
+          'beforeCreate:Image:srinivasa.jpg',
+          'afterCreate:Image:srinivasa.jpg',
+          'afterSave:Image:srinivasa.jpg',
+          'afterSave:Gallery:Foo'
+        ]);
+
+        this.logs.length = 0;
+        var images = Image.create([{ name: 'a.jpg' }, { name: 'b.jpg' }], { type: 'set' });
+        yield images.save({ validate: false });
+        expect(this.logs).toEqual([
+          'beforeSave:Image:a.jpg',
+          'beforeSave:Image:b.jpg',
+          'beforeCreate:Image:a.jpg',
+          'beforeCreate:Image:b.jpg',
+          'afterCreate:Image:a.jpg',
+          'afterCreate:Image:b.jpg',
+          'afterSave:Image:a.jpg',
+          'afterSave:Image:b.jpg'
+        ]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("fires delete hooks", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        yield gallery.save({ validate: false });
+        this.logs.length = 0;
+
+        expect(yield gallery.delete()).toBe(true);
+        expect(this.logs).toEqual([
+          'beforeDelete:Gallery:Foo',
+          'afterDelete:Gallery:Foo'
+        ]);
+        done();
+      }.bind(this));
+
+    });
+
+    it("aborts the delete when `beforeDelete` returns `false`", function(done) {
+
+      co(function*() {
+        Gallery.hook('beforeDelete', function() {
+          return false;
+        });
+        var gallery = Gallery.create({ name: 'Foo' });
+        yield gallery.save({ validate: false });
+
+        expect(yield gallery.delete()).toBe(false);
+        expect(gallery.exists()).toBe(true);
+        expect(Gallery.definition().rows().length).toBe(1);
+        done();
+      });
+
+    });
+
+    it("fires `afterFetch` hooks on loaded entities", function(done) {
+
+      co(function*() {
+        var gallery = Gallery.create({ name: 'Foo' });
+        gallery.get('images').push({ name: 'amiga_1200.jpg' });
+        yield gallery.save({ embed: 'images', validate: false });
+        this.logs.length = 0;
+
+        yield Gallery.all({ embed: 'images' });
+        expect(this.logs).toEqual([
+          'afterFetch:Gallery:Foo',
+          'afterFetch:Image:amiga_1200.jpg'
+        ]);
+
+        this.logs.length = 0;
+        yield Gallery.all({}, { 'return': 'object' });
+        expect(this.logs).toEqual([]);
+        done();
+      }.bind(this)).catch(done);
+
+    });
+
+    it("fires `afterFetch` hooks on entities hydrated by any datasource", function() {
+
+      Gallery.create({ name: 'Foo' });
+      Gallery.create({ name: 'Bar' }, { exists: null });
+      expect(this.logs).toEqual([]);
+
+      Gallery.create([{ id: 1, name: 'Foo' }, { id: 2, name: 'Bar' }], { type: 'set', exists: true });
+      expect(this.logs).toEqual([
+        'afterFetch:Gallery:Foo',
+        'afterFetch:Gallery:Bar'
+      ]);
+
+    });
+
+  });
 
-});
\ No newline at end of file
+});
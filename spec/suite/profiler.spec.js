@@ -0,0 +1,232 @@
+var co = require('co');
+var Model = require('../../src/').Model;
+var MemorySchema = require('../../src/').MemorySchema;
+var Profiler = require('../../src/').Profiler;
+var Schema = require('../fixture/schema');
+
+var Gallery = require('../fixture/model/gallery');
+var GalleryDetail = require('../fixture/model/gallery-detail');
+var Image = require('../fixture/model/image');
+var ImageTag = require('../fixture/model/image-tag');
+var Tag = require('../fixture/model/tag');
+
+var models = [Gallery, GalleryDetail, Image, ImageTag, Tag];
+
+describe("Profiler", function() {
+
+  beforeEach(function(done) {
+    Model.definition(MemorySchema);
+    for (var model of models) {
+      model.reset();
+    }
+    co(function*() {
+      var galleries = Gallery.create([
+        { name: 'Foo Gallery', images: [{ name: 'amiga_1200.jpg', tags: [{ name: 'Computer' }] }, { name: 'srinivasa.jpg' }] },
+        { name: 'Bar Gallery', images: [{ name: 'ada.jpg' }] }
+      ], { type: 'set' });
+      yield galleries.save({ embed: 'images.images_tags.tag' });
+      done();
+    });
+  });
+
+  afterEach(function() {
+    var profiler = Profiler.active();
+    if (profiler) {
+      profiler.stop();
+    }
+    Model.definition(Schema);
+    for (var model of models) {
+      model.reset();
+    }
+  });
+
+  describe(".constructor()", function() {
+
+    it("throws an exception on invalid mode", function() {
+
+      var closure = function() {
+        new Profiler({ mode: 'unexisting' });
+      };
+      expect(closure).toThrow(new Error("Invalid `'unexisting'` value for the `'mode'` option."));
+
+    });
+
+  });
+
+  describe(".start()/.stop()", function() {
+
+    it("sets the running profiler", function() {
+
+      var profiler = new Profiler();
+      expect(profiler.start()).toBe(profiler);
+      expect(Profiler.active()).toBe(profiler);
+
+      expect(profiler.stop()).toBe(profiler);
+      expect(Profiler.active()).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".run()", function() {
+
+    it("scopes the running profiler to the asynchronous context of the function", function(done) {
+
+      co(function*() {
+        var profiler1 = new Profiler();
+        var profiler2 = new Profiler();
+
+        var results = yield [
+          profiler1.run(function() {
+            return co(function*() {
+              yield Gallery.all({ embed: ['images'] });
+              return Profiler.active();
+            });
+          }),
+          profiler2.run(function() {
+            return co(function*() {
+              yield Gallery.all({ embed: ['images.tags'] });
+              return Profiler.active();
+            });
+          })
+        ];
+        expect(results).toEqual([profiler1, profiler2]);
+        expect(Profiler.active()).toBe(undefined);
+
+        expect(profiler1.entries('embed').map(function(entry) { return entry.model; })).toEqual(['Gallery']);
+        expect(profiler2.entries('embed').map(function(entry) { return entry.model; })).toEqual(['Gallery', 'Image', 'ImageTag']);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".entries()/.counters()", function() {
+
+    it("records queries issued by `Schema.embed()`", function(done) {
+
+      co(function*() {
+        var profiler = new Profiler().start();
+        yield Gallery.all({ embed: ['images.tags'] });
+
+        var embeds = profiler.entries('embed');
+        expect(embeds.map(function(entry) { return entry.model; })).toEqual(['Gallery', 'Image', 'ImageTag']);
+        expect(embeds.map(function(entry) { return entry.queries; })).toEqual([3, 2, 1]);
+
+        var finds = profiler.entries('find');
+        expect(finds.map(function(entry) { return entry.relation; })).toEqual([
+          'Gallery.images', 'Image.images_tags', 'ImageTag.tag'
+        ]);
+        expect(finds[0].ids).toEqual(['1', '2']);
+
+        expect(profiler.counters()).toEqual({ find: 3, fetch: 0, embed: 3, queries: 3 });
+        done();
+      });
+
+    });
+
+    it("records lazy loadings with their call site", function(done) {
+
+      co(function*() {
+        var profiler = new Profiler().start();
+        var gallery = yield Gallery.load(1);
+        yield gallery.fetch('images');
+
+        var fetches = profiler.entries('fetch');
+        expect(fetches.length).toBe(1);
+        expect(fetches[0].relation).toBe('Gallery.images');
+        expect(fetches[0].site).toMatch(/profiler\.spec\.js/);
+
+        profiler.reset();
+        expect(profiler.entries()).toEqual([]);
+        done();
+      });
+
+    });
+
+  });
+
+  describe(".fetch()", function() {
+
+    beforeEach(function(done) {
+      co(function*() {
+        this.galleries = yield Gallery.all();
+        done();
+      }.bind(this));
+    });
+
+    it("doesn't detect batched lazy loadings", function(done) {
+
+      co(function*() {
+        var profiler = new Profiler({ mode: 'throw' }).start();
+        for (var gallery of this.galleries) {
+          yield gallery.fetch('images');
+        }
+        expect(profiler.counters().fetch).toBe(1);
+        expect(profiler.assertNoNPlusOne()).toBe(profiler);
+        done();
+      }.bind(this));
+
+    });
+
+    context("with lazy loadings not batched", function() {
+
+      beforeEach(function() {
+        spyOn(Gallery.prototype, '_siblings').and.callFake(function() {
+          return [this];
+        });
+      });
+
+      it("warns on repeated lazy loadings for a same collection", function(done) {
+
+        co(function*() {
+          var messages = [];
+          var profiler = new Profiler({ logger: function(message) { messages.push(message); } }).start();
+          for (var gallery of this.galleries) {
+            yield gallery.fetch('images');
+          }
+          expect(messages.length).toBe(1);
+          expect(messages[0]).toMatch(/^N\+1 queries detected, `Gallery\.images` has been lazy loaded 2 times for entities of a same collection \(at .*profiler\.spec\.js/);
+          expect(profiler.detections().length).toBe(1);
+
+          var closure = function() {
+            profiler.assertNoNPlusOne();
+          };
+          expect(closure).toThrow(new Error(messages[0]));
+          done();
+        }.bind(this));
+
+      });
+
+      it("throws on repeated lazy loadings in `'throw'` mode", function(done) {
+
+        co(function*() {
+          new Profiler({ mode: 'throw' }).start();
+          yield this.galleries.get(0).fetch('images');
+          yield this.galleries.get(1).fetch('images');
+        }.bind(this)).catch(function(e) {
+          expect(e.message).toMatch(/^N\+1 queries detected, `Gallery\.images`/);
+          done();
+        });
+
+      });
+
+      it("supports custom thresholds", function(done) {
+
+        co(function*() {
+          var profiler = new Profiler({ mode: 'record', threshold: 3 }).start();
+          for (var gallery of this.galleries) {
+            yield gallery.fetch('images');
+          }
+          expect(profiler.detections()).toEqual([]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
+  });
+
+});
@@ -6,6 +6,7 @@ var BelongsTo = require('../../../src/relationship/belongs-to');
 
 var Gallery = require('../../fixture/model/gallery');
 var Image = require('../../fixture/model/image');
+var Comment = require('../../fixture/model/comment');
 
 describe("BelongsTo", function() {
 
@@ -17,6 +18,7 @@ describe("BelongsTo", function() {
   afterEach(function() {
     Gallery.reset();
     Image.reset();
+    Comment.reset();
   });
 
   describe(".constructor()", function() {
@@ -66,6 +68,143 @@ describe("BelongsTo", function() {
 
   });
 
+  describe("polymorphic relations", function() {
+
+    it("creates a polymorphic belongsTo relationship", function() {
+
+      var relation = new BelongsTo({
+        name: 'commentable',
+        from: Comment,
+        to: { image: Image, gallery: Gallery }
+      });
+
+      expect(relation.keys()).toEqual({ commentable_id: 'id' });
+      expect(relation.typeKey()).toBe('commentable_type');
+      expect(relation.types()).toEqual({ image: Image, gallery: Gallery });
+
+    });
+
+    it("uses class names as type values when an array of classes is given", function() {
+
+      var relation = new BelongsTo({
+        name: 'commentable',
+        from: Comment,
+        to: [Image, Gallery]
+      });
+
+      expect(relation.types()).toEqual({ Image: Image, Gallery: Gallery });
+
+    });
+
+    it("throws an exception if `'name'` is missing", function() {
+
+      var closure = function() {
+        new BelongsTo({
+          from: Comment,
+          to: { image: Image }
+        });
+      };
+      expect(closure).toThrow(new Error("The relationship `'name'` option can't be empty for polymorphic relations."));
+
+    });
+
+    it("defines the key & type columns", function() {
+
+      var schema = Comment.definition();
+      expect(schema.column('commentable_id')).toEqual({ type: 'id', array: false, null: false });
+      expect(schema.column('commentable_type')).toEqual({ type: 'string', array: false, null: false });
+
+    });
+
+    it("returns the type value of a class or an entity", function() {
+
+      var relation = Comment.definition().relation('commentable');
+      expect(relation.typeOf(Image)).toBe('image');
+      expect(relation.typeOf(Gallery.create())).toBe('gallery');
+
+      var closure = function() {
+        relation.typeOf(Comment);
+      };
+      expect(closure).toThrow(new Error("The `Comment` class is not a valid type for the polymorphic `'commentable'` relation."));
+
+    });
+
+    it("casts related data according to the type value", function() {
+
+      var comment = Comment.create({ commentable_type: 'gallery', commentable: { name: 'Foo Gallery' } });
+      expect(comment.get('commentable')).toBeAnInstanceOf(Gallery);
+
+      var closure = function() {
+        Comment.create({ commentable: { name: 'Foo Gallery' } });
+      };
+      expect(closure).toThrow(new Error("Invalid `'commentable_type'` value for casting the polymorphic `'commentable'` relation."));
+
+    });
+
+    it("sets both keys when an entity is assigned", function() {
+
+      var comment = Comment.create();
+      comment.set('commentable', Image.create({ id: 3 }, { exists: true }));
+      expect(comment.get('commentable_id')).toBe(3);
+      expect(comment.get('commentable_type')).toBe('image');
+
+    });
+
+    it("embeds a polymorphic relationship using one query per type", function(done) {
+
+      co(function*() {
+        spyOn(Image, 'all').and.callFake(function(options, fetchOptions) {
+          return Promise.resolve(Image.create([{ id: 1, name: 'amiga_1200.jpg' }], { type: 'set', exists: true }));
+        });
+        spyOn(Gallery, 'all').and.callFake(function(options, fetchOptions) {
+          return Promise.resolve(Gallery.create([{ id: 1, name: 'Foo Gallery' }, { id: 2, name: 'Bar Gallery' }], { type: 'set', exists: true }));
+        });
+
+        var comments = Comment.create([
+          { body: 'Nice', commentable_id: 1, commentable_type: 'image' },
+          { body: 'Great', commentable_id: 1, commentable_type: 'gallery' },
+          { body: 'Cool', commentable_id: 2, commentable_type: 'gallery' },
+          { body: 'Orphan' }
+        ], { type: 'set' });
+
+        yield comments.embed(['commentable']);
+
+        expect(Image.all).toHaveBeenCalledWith({ conditions: { id: 1 } }, {});
+        expect(Gallery.all).toHaveBeenCalledWith({ conditions: { id: [1, 2] } }, {});
+
+        expect(comments.get(0).get('commentable')).toBeAnInstanceOf(Image);
+        expect(comments.get(0).get('commentable.name')).toBe('amiga_1200.jpg');
+        expect(comments.get(1).get('commentable.name')).toBe('Foo Gallery');
+        expect(comments.get(2).get('commentable.name')).toBe('Bar Gallery');
+        expect(comments.get(3).has('commentable')).toBe(false);
+        done();
+      });
+
+    });
+
+    it("saves a polymorphic relationship", function(done) {
+
+      co(function*() {
+        var belongsTo = Comment.definition().relation('commentable');
+
+        var comment = Comment.create({ body: 'Nice' });
+        comment.set('commentable', Gallery.create({ name: 'Foo Gallery' }));
+
+        spyOn(comment.get('commentable'), 'save').and.callFake(function() {
+          comment.get('commentable').set('id', 5);
+          return Promise.resolve(true);
+        });
+
+        yield belongsTo.save(comment);
+        expect(comment.get('commentable_id')).toBe(5);
+        expect(comment.get('commentable_type')).toBe('gallery');
+        done();
+      });
+
+    });
+
+  });
+
   describe(".embed()", function() {
 
     beforeEach(function() {
@@ -2,6 +2,8 @@ var co = require('co');
 var Conventions = require('../../../src/conventions');
 var Relationship = require('../../../src/relationship');
 var Model = require('../../../src/').Model;
+var MemorySchema = require('../../../src/').MemorySchema;
+var Schema = require('../../fixture/schema');
 var HasManyThrough = require('../../../src/relationship/has-many-through');
 
 var Image = require('../../fixture/model/image');
@@ -257,17 +259,122 @@ describe("HasManyThrough", function() {
 
   });
 
-  describe(".save()", function() {
+  describe("with persistence", function() {
 
-    it("bails out on save since it's just an alias", function(done) {
+    beforeEach(function() {
+      Model.definition(MemorySchema);
+      Image.reset();
+      ImageTag.reset();
+      Tag.reset();
+    });
+
+    afterEach(function() {
+      Model.definition(Schema);
+    });
+
+    describe(".save()", function() {
+
+      it("bails out if no relation data hasn't been setted", function(done) {
+
+        co(function*() {
+          var hasManyThrough = Image.definition().relation('tags');
+          var image = Image.create({ id: 1, name: 'amiga_1200.jpg' }, { exists: true });
+          expect(yield hasManyThrough.save(image)).toBe(true);
+          expect(ImageTag.definition().rows()).toEqual([]);
+          done();
+        });
+
+      });
+
+      it("saves new target entities and creates pivot entities", function(done) {
+
+        co(function*() {
+          var hasManyThrough = Image.definition().relation('tags');
+          var image = Image.create({ name: 'amiga_1200.jpg' });
+          yield image.save({ embed: false });
+
+          image.set('tags', [{ name: 'Computer' }, { name: 'Science' }]);
+
+          expect(yield hasManyThrough.save(image)).toBe(true);
+
+          expect(image.get('tags.0').exists()).toBe(true);
+          expect(image.get('tags.1').exists()).toBe(true);
+          expect(Tag.definition().rows()).toEqual([
+            { id: 1, name: 'Computer' },
+            { id: 2, name: 'Science' }
+          ]);
+          expect(ImageTag.definition().rows()).toEqual([
+            { id: 1, image_id: 1, tag_id: 1 },
+            { id: 2, image_id: 1, tag_id: 2 }
+          ]);
+          done();
+        });
+
+      });
+
+      it("deletes stale pivot entities", function(done) {
+
+        co(function*() {
+          var image = Image.create({ name: 'amiga_1200.jpg' });
+          image.get('tags').push({ name: 'Computer' });
+          image.get('tags').push({ name: 'Science' });
+          yield image.save({ embed: 'tags' });
+
+          image.get('tags').splice(0, 1);
+          image.get('tags').push({ name: 'Retro' });
+          expect(yield image.save({ embed: 'tags' })).toBe(true);
+
+          expect(ImageTag.definition().rows()).toEqual([
+            { id: 2, image_id: 1, tag_id: 2 },
+            { id: 3, image_id: 1, tag_id: 3 }
+          ]);
+          expect(Tag.definition().rows().length).toBe(3);
+
+          var reloaded = yield Image.load(image.id(), { embed: 'tags' });
+          expect(reloaded.get('tags').data()).toEqual([
+            { id: 2, name: 'Science' },
+            { id: 3, name: 'Retro' }
+          ]);
+          done();
+        });
+
+      });
+
+    });
+
+    describe(".validates()", function() {
+
+      it("cascades the validation into target & pivot entities", function(done) {
+
+        co(function*() {
+          Tag.validator().rule('name', 'not:empty');
+          ImageTag.validator().rule('tag_id', 'not:empty');
+
+          var hasManyThrough = Image.definition().relation('tags');
+          var image = Image.create({ name: 'amiga_1200.jpg' });
+          image.get('tags').push({ name: '' });
+
+          expect(yield hasManyThrough.validates(image)).toBe(false);
+          expect(image.get('tags.0').errors()).toEqual({ name: ['must not be a empty'] });
+          expect(image.get('images_tags.0').errors({ embed: false })).toEqual({ tag_id: ['must not be a empty'] });
+          done();
+        });
+
+      });
+
+      it("returns `true` when no relation data is set", function(done) {
+
+        co(function*() {
+          var hasManyThrough = Image.definition().relation('tags');
+          var image = Image.create({ name: 'amiga_1200.jpg' });
+          expect(yield hasManyThrough.validates(image)).toBe(true);
+          done();
+        });
 
-      var hasManyThrough = Image.definition().relation('tags');
-      hasManyThrough.save().then(function() {
-        done();
       });
 
     });
 
   });
 
-});
\ No newline at end of file
+});
@@ -8,6 +8,7 @@ var Gallery = require('../../fixture/model/gallery');
 var Image = require('../../fixture/model/image');
 var ImageTag = require('../../fixture/model/image-tag');
 var Tag = require('../../fixture/model/tag');
+var Comment = require('../../fixture/model/comment');
 
 describe("HasMany", function() {
 
@@ -20,6 +21,7 @@ describe("HasMany", function() {
     Image.reset();
     ImageTag.reset();
     Gallery.reset();
+    Comment.reset();
   });
 
   describe(".constructor()", function() {
@@ -72,6 +74,87 @@ describe("HasMany", function() {
 
   });
 
+  describe("polymorphic relations", function() {
+
+    beforeEach(function() {
+      Gallery.definition().hasMany('comments', 'Comment', { as: 'commentable' });
+    });
+
+    it("creates the inverse of a polymorphic relationship", function() {
+
+      var hasMany = Gallery.definition().relation('comments');
+      expect(hasMany.as()).toBe('commentable');
+      expect(hasMany.keys()).toEqual({ id: 'commentable_id' });
+      expect(hasMany.typeKey()).toBe('commentable_type');
+      expect(hasMany.conditions()).toEqual({ commentable_type: 'gallery' });
+      expect(hasMany.match(Gallery.create({ id: 1 }))).toEqual({ commentable_id: 1, commentable_type: 'gallery' });
+
+    });
+
+    it("throws an exception if the polymorphic relation is missing", function() {
+
+      Image.definition().hasMany('comments', 'Comment', { as: 'unexisting' });
+      var hasMany = Image.definition().relation('comments');
+
+      var closure = function() {
+        hasMany.typeKey();
+      };
+      expect(closure).toThrow(new Error("Missing polymorphic relation `'unexisting'` in the `Comment` model."));
+
+    });
+
+    it("embeds related entities of the matching type only", function(done) {
+
+      co(function*() {
+        spyOn(Comment, 'all').and.callFake(function(options, fetchOptions) {
+          return Promise.resolve(Comment.create([
+            { id: 1, body: 'Nice', commentable_id: 1, commentable_type: 'gallery' },
+            { id: 2, body: 'Great', commentable_id: 2, commentable_type: 'gallery' }
+          ], { type: 'set', exists: true }));
+        });
+
+        var galleries = Gallery.create([{ id: 1, name: 'Foo Gallery' }, { id: 2, name: 'Bar Gallery' }], { type: 'set', exists: true });
+        yield galleries.embed(['comments']);
+
+        expect(Comment.all).toHaveBeenCalledWith({
+          conditions: {
+            ':and()': [
+              { commentable_id: [1, 2] },
+              { commentable_type: 'gallery' }
+            ]
+          }
+        }, {});
+        expect(galleries.get(0).get('comments').count()).toBe(1);
+        expect(galleries.get(1).get('comments.0.body')).toBe('Great');
+        done();
+      });
+
+    });
+
+    it("saves both keys on related entities", function(done) {
+
+      co(function*() {
+        spyOn(Comment, 'all').and.callFake(function() {
+          return Promise.resolve(Comment.create([], { type: 'set' }));
+        });
+
+        var hasMany = Gallery.definition().relation('comments');
+        var gallery = Gallery.create({ id: 1, name: 'Foo Gallery' }, { exists: true });
+        gallery.set('comments', [{ body: 'Nice' }]);
+
+        var comment = gallery.get('comments.0');
+        spyOn(comment, 'save').and.returnValue(Promise.resolve(true));
+
+        yield hasMany.save(gallery);
+        expect(comment.get('commentable_id')).toBe(1);
+        expect(comment.get('commentable_type')).toBe('gallery');
+        done();
+      });
+
+    });
+
+  });
+
   describe(".embed()", function() {
 
     beforeEach(function() {
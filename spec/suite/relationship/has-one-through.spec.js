@@ -0,0 +1,55 @@
+var Conventions = require('../../../src/conventions');
+var Relationship = require('../../../src/relationship');
+var HasOneThrough = require('../../../src/relationship/has-one-through');
+
+var Gallery = require('../../fixture/model/gallery');
+var GalleryDetail = require('../../fixture/model/gallery-detail');
+var Image = require('../../fixture/model/image');
+
+describe("HasOneThrough", function() {
+
+  afterEach(function() {
+    Image.reset();
+    Gallery.reset();
+  });
+
+  describe(".constructor()", function() {
+
+    it("creates a hasOneThrough relationship", function() {
+
+      var relation = new HasOneThrough({
+        name: 'gallery_detail',
+        from: Image,
+        through: 'gallery',
+        using: 'detail'
+      });
+
+      expect(relation.name()).toBe('gallery_detail');
+      expect(relation.type()).toBe('hasOneThrough');
+      expect(relation.isMany()).toBe(false);
+      expect(relation.from()).toBe(Image);
+      expect(relation.to()).toBe(GalleryDetail);
+      expect(relation.through()).toBe('gallery');
+      expect(relation.using()).toBe('detail');
+      expect(relation.link()).toBe(Relationship.LINK_KEY);
+      expect(relation.conventions() instanceof Conventions).toBe(true);
+
+    });
+
+    it("throws an exception when the path is not a one-to-one path", function() {
+
+      var closure = function() {
+        new HasOneThrough({
+          name: 'image_tag',
+          from: Gallery,
+          through: 'images',
+          using: 'images_tags'
+        });
+      };
+      expect(closure).toThrow(new Error("The `'image_tag'` relation can't be a `hasOneThrough` relation, `'images.images_tags'` is not a one-to-one path."));
+
+    });
+
+  });
+
+});
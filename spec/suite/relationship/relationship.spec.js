@@ -1,9 +1,39 @@
+var co = require('co');
+var Model = require('../../../src/').Model;
+var Relationship = require('../../../src/').Relationship;
 var Gallery = require('../../fixture/model/gallery');
 var GalleryDetail = require('../../fixture/model/gallery-detail');
 var Image = require('../../fixture/model/image');
 var ImageTag = require('../../fixture/model/image-tag');
 var Tag = require('../../fixture/model/tag');
 
+class MyPost extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('title', { type: 'string' });
+    schema.column('author', { type: 'object' });
+    schema.column('author.name', { type: 'string' });
+    schema.bind('author.post', {
+      relation: 'belongsTo',
+      to: MyPost,
+      link: Relationship.LINK_CONTAINED
+    });
+    schema.column('comments', { type: 'object', array: true, class: MyComment });
+  }
+}
+
+class MyComment extends Model {
+  static _define(schema) {
+    schema.column('id', { type: 'serial' });
+    schema.column('body', { type: 'string' });
+    schema.bind('post', {
+      relation: 'belongsTo',
+      to: MyPost,
+      link: Relationship.LINK_CONTAINED
+    });
+  }
+}
+
 describe("Relationship", function() {
 
   afterEach(function() {
@@ -65,4 +95,243 @@ describe("Relationship", function() {
 
   });
 
+  describe(".keys()", function() {
+
+    it("returns the matching keys", function() {
+
+      var relation = Image.definition().relation('gallery');
+      expect(relation.keys()).toEqual({ gallery_id: 'id' });
+      expect(relation.keys('from')).toBe('gallery_id');
+      expect(relation.keys('to')).toBe('id');
+
+    });
+
+    it("returns arrays of field names for multi-column keys", function() {
+
+      Gallery.definition().hasMany('images', Image, {
+        keys: { id: 'gallery_id', name: 'gallery_name' }
+      });
+
+      var relation = Gallery.definition().relation('images');
+      expect(relation.keys('from')).toEqual(['id', 'name']);
+      expect(relation.keys('to')).toEqual(['gallery_id', 'gallery_name']);
+
+    });
+
+    it("throws an exception on invalid type", function() {
+
+      var closure = function() {
+        Image.definition().relation('gallery').keys('unexisting');
+      };
+      expect(closure).toThrow(new Error("Invalid type `'unexisting'` only `'from'` and `'to'` are available"));
+
+    });
+
+  });
+
+  describe(".keyValue()", function() {
+
+    it("returns a tuple of values for multi-column keys", function() {
+
+      Gallery.definition().hasMany('images', Image, {
+        keys: { id: 'gallery_id', name: 'gallery_name' }
+      });
+      var relation = Gallery.definition().relation('images');
+
+      expect(relation.keyValue(Gallery.create({ id: 1, name: 'Foo' }), 'from')).toEqual([1, 'Foo']);
+      expect(relation.keyValue({ gallery_id: 1, gallery_name: 'Foo' }, 'to')).toEqual([1, 'Foo']);
+      expect(relation.keyValue(Gallery.create({ id: 1 }), 'from')).toBe(null);
+
+    });
+
+  });
+
+  describe(".onDelete()", function() {
+
+    it("gets/sets the delete behavior", function() {
+
+      var relation = Gallery.definition().relation('images');
+      expect(relation.onDelete()).toBe(undefined);
+      expect(relation.onDelete('cascade')).toBe(relation);
+      expect(relation.onDelete()).toBe('cascade');
+
+    });
+
+    it("throws an exception on invalid values", function() {
+
+      var closure = function() {
+        Gallery.definition().relation('images').onDelete('unexisting');
+      };
+      expect(closure).toThrow(new Error("Invalid `'unexisting'` value for the `'onDelete'` option."));
+
+    });
+
+    it("throws an exception for `belongsTo` relations", function() {
+
+      Image.definition().belongsTo('gallery', Gallery, { keys: { gallery_id: 'id' }, onDelete: 'cascade' });
+
+      var closure = function() {
+        Image.definition().relation('gallery');
+      };
+      expect(closure).toThrow(new Error("The `'onDelete'` option is not supported by `'belongsTo'` relations."));
+
+    });
+
+  });
+
+  describe(".match()", function() {
+
+    it("builds conditions for multi-column keys", function() {
+
+      Gallery.definition().hasMany('images', Image, {
+        keys: { id: 'gallery_id', name: 'gallery_name' }
+      });
+      var relation = Gallery.definition().relation('images');
+
+      expect(relation.match(Gallery.create({ id: 1, name: 'Foo' }))).toEqual({
+        gallery_id: 1,
+        gallery_name: 'Foo'
+      });
+
+    });
+
+  });
+
+  describe("contained relations", function() {
+
+    beforeEach(function() {
+      this.post = MyPost.create({
+        id: 1,
+        title: 'Hello',
+        author: { name: 'Bob' },
+        comments: [{ body: 'Nice' }, { body: 'Great' }]
+      });
+    });
+
+    afterEach(function() {
+      MyPost.reset();
+      MyComment.reset();
+    });
+
+    describe(".owner()", function() {
+
+      it("resolves the owner of an embedded document", function() {
+
+        var author = this.post.get('author');
+        var relation = MyPost.definition().relation('author.post');
+        expect(relation.owner(author)).toBe(this.post);
+
+      });
+
+      it("resolves the owner of a document embedded in a collection", function() {
+
+        var comment = this.post.get('comments').get(0);
+        var relation = MyComment.definition().relation('post');
+        expect(relation.owner(comment)).toBe(this.post);
+
+      });
+
+      it("returns `null` for detached documents", function() {
+
+        var relation = MyComment.definition().relation('post');
+        expect(relation.owner(MyComment.create({ body: 'Alone' }))).toBe(null);
+
+      });
+
+    });
+
+    describe(".get()", function() {
+
+      it("resolves contained relations", function(done) {
+
+        co(function*() {
+          var comment = this.post.get('comments').get(1);
+          var relation = MyComment.definition().relation('post');
+          expect(yield relation.get(comment)).toBe(this.post);
+          done();
+        }.bind(this));
+
+      });
+
+      it("resolves embedded relations", function(done) {
+
+        co(function*() {
+          var relation = MyPost.definition().relation('author');
+          expect(yield relation.get(this.post)).toBe(this.post.get('author'));
+          done();
+        }.bind(this));
+
+      });
+
+      it("delegates key relations to `fetch()`", function(done) {
+
+        co(function*() {
+          var gallery = Gallery.create({ id: 1 }, { exists: true });
+          var images = Image.create([], { type: 'set' });
+          spyOn(gallery, 'fetch').and.returnValue(Promise.resolve(images));
+
+          var relation = Gallery.definition().relation('images');
+          expect(yield relation.get(gallery)).toBe(images);
+          expect(gallery.fetch).toHaveBeenCalledWith('images');
+          done();
+        });
+
+      });
+
+      it("rejects invalid link types", function(done) {
+
+        var relation = MyComment.definition().relation('post');
+        relation._link = 'unexisting';
+
+        relation.get(MyComment.create()).catch(function(e) {
+          expect(e).toEqual(new Error("Attempted to get object for invalid relationship link type `'unexisting'`."));
+          relation._link = Relationship.LINK_CONTAINED;
+          done();
+        });
+
+      });
+
+    });
+
+    describe("documents", function() {
+
+      it("gets the owner through `get()`", function() {
+
+        expect(this.post.get('author').get('post')).toBe(this.post);
+        expect(this.post.get('comments').get(0).get('post')).toBe(this.post);
+        expect(this.post.get('author.post')).toBe(this.post);
+
+      });
+
+      it("throws an exception when setting a contained relation", function() {
+
+        var closure = function() {
+          this.post.get('author').set('post', MyPost.create());
+        }.bind(this);
+        expect(closure).toThrow(new Error("The `'post'` relation is a contained relation and can't be set."));
+
+      });
+
+      it("doesn't export contained relations with `to('array')`", function() {
+
+        expect(this.post.to('array')).toEqual({
+          id: 1,
+          title: 'Hello',
+          author: { name: 'Bob' },
+          comments: [{ body: 'Nice' }, { body: 'Great' }]
+        });
+
+      });
+
+      it("doesn't include contained relations in the `hierarchy()`", function() {
+
+        expect(this.post.hierarchy()).toEqual([]);
+        expect(this.post.get('comments').get(0).hierarchy()).toEqual([]);
+
+      });
+
+    });
+
+  });
+
 });
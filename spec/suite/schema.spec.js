@@ -3,8 +3,12 @@ var Through = require('../../src/collection/through');
 var Schema = require('../../src/schema');
 var Document = require('../../src/').Document;
 var Model = require('../../src/').Model;
+var MemorySchema = require('../../src/').MemorySchema;
+var StaleEntityError = require('../../src/').StaleEntityError;
+var FixtureSchema = require('../fixture/schema');
 
 var Gallery = require('../fixture/model/gallery');
+var GalleryDetail = require('../fixture/model/gallery-detail');
 var Image = require('../fixture/model/image');
 var ImageTag = require('../fixture/model/image-tag');
 var Tag = require('../fixture/model/tag');
@@ -56,6 +60,22 @@ describe("Schema", function() {
 
   });
 
+  describe(".connection()", function() {
+
+    it("gets/sets the connection", function() {
+
+      var connection = {};
+      var schema = new Schema({ connection: connection });
+      expect(schema.connection()).toBe(connection);
+
+      var connection2 = {};
+      expect(schema.connection(connection2)).toBe(schema);
+      expect(schema.connection()).toBe(connection2);
+
+    });
+
+  });
+
   describe(".source()", function() {
 
     it("gets/sets the source", function() {
@@ -82,6 +102,92 @@ describe("Schema", function() {
 
   });
 
+  describe(".inheritance()", function() {
+
+    it("gets/sets the inheritance definition", function() {
+
+      class Photo extends Image {};
+
+      var schema = Image.definition();
+      expect(schema.inheritance()).toBe(undefined);
+
+      expect(schema.inheritance({ map: { photo: Photo } })).toBe(schema);
+      expect(schema.inheritance()).toEqual({ field: 'type', map: { photo: Photo }, root: Image });
+
+      schema.inheritance(false);
+      expect(schema.inheritance()).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".softDelete()", function() {
+
+    it("gets/sets the soft delete definition", function() {
+
+      var schema = new Schema();
+      expect(schema.softDelete()).toBe(undefined);
+
+      expect(schema.softDelete(true)).toBe(schema);
+      expect(schema.softDelete()).toEqual({ field: 'deleted_at' });
+      expect(schema.column('deleted_at')).toEqual({ type: 'datetime', null: true, array: false });
+
+      schema.softDelete({ field: 'removed' });
+      expect(schema.softDelete()).toEqual({ field: 'removed' });
+      expect(schema.has('removed')).toBe(true);
+
+      schema.softDelete(false);
+      expect(schema.softDelete()).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".timestamps()", function() {
+
+    it("gets/sets the timestamps definition", function() {
+
+      var schema = new Schema();
+      expect(schema.timestamps()).toBe(undefined);
+
+      expect(schema.timestamps(true)).toBe(schema);
+      expect(schema.timestamps()).toEqual({ created: 'created_at', updated: 'updated_at' });
+      expect(schema.column('created_at')).toEqual({ type: 'datetime', null: true, array: false });
+      expect(schema.column('updated_at')).toEqual({ type: 'datetime', null: true, array: false });
+
+      schema.timestamps({ created: 'created', updated: false });
+      expect(schema.timestamps()).toEqual({ created: 'created', updated: false });
+      expect(schema.has('created')).toBe(true);
+
+      schema.timestamps(false);
+      expect(schema.timestamps()).toBe(undefined);
+
+    });
+
+  });
+
+  describe(".versioning()", function() {
+
+    it("gets/sets the optimistic locking definition", function() {
+
+      var schema = new Schema();
+      expect(schema.versioning()).toBe(undefined);
+
+      expect(schema.versioning(true)).toBe(schema);
+      expect(schema.versioning()).toEqual({ field: 'version' });
+      expect(schema.column('version')).toEqual({ type: 'integer', array: false, null: false });
+
+      schema.versioning({ field: 'lock' });
+      expect(schema.versioning()).toEqual({ field: 'lock' });
+      expect(schema.has('lock')).toBe(true);
+
+      schema.versioning(false);
+      expect(schema.versioning()).toBe(undefined);
+
+    });
+
+  });
+
   describe(".lock()/.locked()", function() {
 
     it("gets/sets the lock value", function() {
@@ -772,6 +878,19 @@ describe("Schema", function() {
 
     });
 
+    it("binds a `hasOneThrough` relation", function() {
+
+      this.schema.hasOneThrough('gallery_detail', 'gallery', 'detail');
+
+      var relation = this.schema.relation('gallery_detail');
+      expect(relation.type()).toBe('hasOneThrough');
+      expect(relation.isMany()).toBe(false);
+      expect(relation.to()).toBe(GalleryDetail);
+      expect(relation.through()).toBe('gallery');
+      expect(relation.using()).toBe('detail');
+
+    });
+
   });
 
   describe(".unbind()", function() {
@@ -881,6 +1000,25 @@ describe("Schema", function() {
 
   describe(".treeify()", function() {
 
+    it("expands HasOneThrough relations", function() {
+
+      this.schema.hasOneThrough('gallery_detail', 'gallery', 'detail');
+
+      expect(this.schema.expand(['gallery_detail'])).toEqual({
+        gallery_detail: null,
+        'gallery.detail': null
+      });
+      expect(this.schema.treeify(['gallery_detail'])).toEqual({
+        gallery: {
+          embed: {
+            detail: null
+          }
+        },
+        gallery_detail: null
+      });
+
+    });
+
     it("expands HasManyThrough relations", function() {
 
       expect(this.schema.treeify(['gallery', 'tags'])).toEqual({
@@ -1304,6 +1442,348 @@ describe("Schema", function() {
 
     });
 
+    it("passes only modified fields to `bulkUpdate()` when `'partial'` is `true`", function(done) {
+
+      co(function*() {
+        this.schema.column('id', { type: 'serial' });
+        this.schema.column('title', { type: 'string' });
+        this.schema.column('body', { type: 'string' });
+        this.schema.column('settings', { type: 'object' });
+        this.schema.column('settings.theme', { type: 'string' });
+        this.schema.column('settings.lang', { type: 'string' });
+
+        var entity = Model.create({
+          id: 1, title: 'Hello', body: 'World', settings: { theme: 'light', lang: 'en' }
+        }, { schema: this.schema, exists: true });
+
+        entity.set('title', 'Hi');
+        entity.set('settings.theme', 'dark');
+
+        yield this.schema.persist(entity, { partial: true });
+
+        expect(this.data.updates).toEqual([entity]);
+        expect(this.filter(entity)).toEqual({ title: 'Hi', 'settings.theme': 'dark' });
+
+        entity.set('settings', { theme: 'dark', lang: 'fr' });
+        yield this.schema.persist(entity, { partial: true });
+        expect(Object.keys(this.filter(entity))).toEqual(['title', 'settings']);
+        done();
+      }.bind(this));
+
+    });
+
+    it("passes all fields to `bulkUpdate()` by default", function(done) {
+
+      co(function*() {
+        this.schema.column('id', { type: 'serial' });
+        this.schema.column('title', { type: 'string' });
+        this.schema.column('body', { type: 'string' });
+
+        var entity = Model.create({ id: 1, title: 'Hello', body: 'World' }, { schema: this.schema, exists: true });
+        entity.set('title', 'Hi');
+
+        yield this.schema.persist(entity);
+
+        expect(this.data.updates).toEqual([entity]);
+        expect(this.filter(entity)).toEqual({ id: 1, title: 'Hi', body: 'World' });
+        done();
+      }.bind(this));
+
+    });
+
+    describe("with versioning", function() {
+
+      beforeEach(function(done) {
+        Model.definition(MemorySchema);
+        Gallery.reset();
+        Gallery.definition().versioning(true);
+
+        co(function*() {
+          yield Gallery.create({ name: 'Foo Gallery' }).save();
+          done();
+        });
+      });
+
+      afterEach(function() {
+        Model.definition(FixtureSchema);
+        Gallery.reset();
+      });
+
+      it("increments the version on updates", function(done) {
+
+        co(function*() {
+          var gallery = yield Gallery.load(1);
+          expect(gallery.get('version')).toBe(1);
+
+          gallery.set('name', 'Bar Gallery');
+          yield gallery.save();
+          expect(gallery.get('version')).toBe(2);
+          expect(gallery.modified()).toBe(false);
+          expect(Gallery.definition().rows()[0].version).toBe(2);
+
+          yield gallery.save();
+          expect(gallery.get('version')).toBe(2);
+          done();
+        });
+
+      });
+
+      it("saves the version of whitelisted updates", function(done) {
+
+        co(function*() {
+          var gallery = yield Gallery.load(1);
+
+          gallery.set('name', 'Bar Gallery');
+          yield gallery.save({ whitelist: ['name'] });
+          expect(gallery.get('version')).toBe(2);
+          expect(Gallery.definition().rows()[0].version).toBe(2);
+
+          gallery.set('name', 'Baz Gallery');
+          yield gallery.save();
+          expect(gallery.get('version')).toBe(3);
+          expect(Gallery.definition().rows()[0]).toEqual({ id: 1, name: 'Baz Gallery', tag_ids: [], version: 3 });
+          done();
+        }).catch(done);
+
+      });
+
+      it("rejects updates of stale entities", function(done) {
+
+        var gallery1, gallery2;
+
+        co(function*() {
+          gallery1 = yield Gallery.load(1);
+          gallery2 = yield Gallery.load(1);
+
+          gallery1.set('name', 'Bar Gallery');
+          yield gallery1.save();
+
+          gallery2.set('name', 'Baz Gallery');
+          yield gallery2.save();
+        }).catch(function(e) {
+          expect(e).toBeAnInstanceOf(StaleEntityError);
+          expect(e.message).toBe("The `gallery` entity with ID `1` has been modified since it was loaded.");
+          expect(e.entity).toBe(gallery2);
+
+          expect(gallery2.get('version')).toBe(1);
+          expect(gallery2.original('name')).toBe('Foo Gallery');
+          expect(gallery2.get('name')).toBe('Baz Gallery');
+          expect(gallery2.modified('name')).toBe(true);
+          expect(gallery2.modified('version')).toBe(false);
+
+          expect(Gallery.definition().rows()[0]).toEqual({ id: 1, name: 'Bar Gallery', tag_ids: [], version: 2 });
+          done();
+        });
+
+      });
+
+    });
+
+    describe("with timestamps", function() {
+
+      beforeEach(function() {
+        Model.definition(MemorySchema);
+        Gallery.reset();
+        Image.reset();
+        Gallery.definition().timestamps(true);
+        Image.definition().timestamps(true);
+      });
+
+      afterEach(function() {
+        Model.definition(FixtureSchema);
+        Gallery.reset();
+        Image.reset();
+      });
+
+      it("fills in timestamps on inserts", function(done) {
+
+        co(function*() {
+          var created = new Date(2015, 0, 1);
+          var gallery1 = Gallery.create({ name: 'Foo Gallery' });
+          var gallery2 = Gallery.create({ name: 'Bar Gallery', created_at: created });
+          yield Gallery.create([gallery1, gallery2], { type: 'set' }).save();
+
+          expect(gallery1.get('created_at')).toBeAnInstanceOf(Date);
+          expect(gallery1.get('updated_at')).toEqual(gallery1.get('created_at'));
+          expect(gallery2.get('created_at')).toEqual(created);
+          expect(Gallery.definition().rows()[0].created_at).not.toBe(undefined);
+          done();
+        });
+
+      });
+
+      it("bumps the update timestamp of modified entities only", function(done) {
+
+        co(function*() {
+          var gallery = Gallery.create({ name: 'Foo Gallery' });
+          yield gallery.save();
+          var created = gallery.get('created_at');
+
+          gallery.amend({ updated_at: new Date(0) });
+          yield gallery.save();
+          expect(gallery.get('updated_at').getTime()).toBe(0);
+
+          gallery.set('name', 'Bar Gallery');
+          yield gallery.save({ whitelist: ['name'] });
+          expect(gallery.get('updated_at').getTime()).not.toBe(0);
+          expect(gallery.get('created_at')).toEqual(created);
+          done();
+        });
+
+      });
+
+      it("supports custom field names", function(done) {
+
+        co(function*() {
+          Gallery.definition().timestamps({ created: 'created', updated: false });
+          var gallery = Gallery.create({ name: 'Foo Gallery' });
+          yield gallery.save();
+
+          expect(gallery.get('created')).toBeAnInstanceOf(Date);
+          expect(gallery.has('updated_at')).toBe(false);
+          done();
+        });
+
+      });
+
+      it("touches parents of belongsTo relations having the `'touch'` option", function(done) {
+
+        co(function*() {
+          Image.definition().relation('gallery').touch(true);
+          yield Gallery.create({ name: 'Foo Gallery' }).save();
+          Gallery.definition().rows()[0].updated_at = new Date(0);
+
+          yield Image.create({ name: 'amiga_1200.jpg', gallery_id: 1 }).save();
+          var gallery = yield Gallery.load(1);
+          expect(gallery.get('updated_at').getTime()).not.toBe(0);
+
+          gallery.amend({ updated_at: new Date(0) });
+          var image = Image.create({ name: 'srinivasa.jpg' });
+          image.set('gallery', gallery);
+          yield image.save();
+          expect(gallery.get('updated_at').getTime()).not.toBe(0);
+          done();
+        });
+
+      });
+
+    });
+
+  });
+
+  describe(".save()", function() {
+
+    describe("with transactions", function() {
+
+      beforeEach(function() {
+        Model.definition(MemorySchema);
+        Gallery.reset();
+        Image.reset();
+
+        var logs = this.logs = [];
+        this.connection = {
+          begin: function() {
+            logs.push('begin');
+            return Promise.resolve(true);
+          },
+          commit: function() {
+            logs.push('commit');
+            return Promise.resolve(true);
+          },
+          rollback: function() {
+            logs.push('rollback');
+            return Promise.resolve(true);
+          }
+        };
+        Gallery.connection(this.connection);
+        Image.connection(this.connection);
+      });
+
+      afterEach(function() {
+        Model.definition(FixtureSchema);
+        Gallery.reset();
+        Image.reset();
+      });
+
+      it("wraps the whole saving graph inside a single transaction", function(done) {
+
+        co(function*() {
+          var gallery = Gallery.create({ name: 'Foo Gallery' });
+          gallery.get('images').push({ name: 'amiga_1200.jpg' });
+          gallery.get('images').push({ name: 'srinivasa.jpg' });
+
+          expect(yield gallery.save({ embed: 'images' })).toBe(true);
+          expect(this.logs).toEqual(['begin', 'commit']);
+          expect(gallery.exists()).toBe(true);
+          expect(gallery.get('images.1').get('gallery_id')).toBe(gallery.id());
+          done();
+        }.bind(this));
+
+      });
+
+      it("rolls back the in-memory state when saving fails", function(done) {
+
+        co(function*() {
+          Image.validator().rule('name', 'not:empty');
+
+          var gallery = Gallery.create({ name: 'Foo Gallery' });
+          gallery.get('images').push({ name: 'amiga_1200.jpg' });
+          gallery.get('images').push({ name: '' });
+
+          expect(yield gallery.save({ embed: 'images' })).toBe(false);
+          expect(this.logs).toEqual(['begin', 'rollback']);
+
+          expect(gallery.exists()).toBe(false);
+          expect(gallery.id()).toBe(null);
+
+          var image = gallery.get('images.0');
+          expect(image.exists()).toBe(false);
+          expect(image.id()).toBe(null);
+          expect(image.get('gallery_id')).toBe(null);
+          expect(gallery.errors()).toEqual({ images: [{}, { name: ['must not be a empty'] }] });
+          done();
+        }.bind(this));
+
+      });
+
+      it("rolls back existing entities to their previous state", function(done) {
+
+        co(function*() {
+          var gallery = Gallery.create({ name: 'Foo Gallery' });
+          yield gallery.save({ transaction: false });
+
+          gallery.set('name', 'Bar Gallery');
+          gallery.set('images', [{ name: 'amiga_1200.jpg' }]);
+          spyOn(Image.definition(), 'bulkInsert').and.returnValue(Promise.reject(new Error('Connection lost.')));
+
+          try {
+            yield gallery.save({ embed: 'images' });
+          } catch (e) {
+            expect(e.message).toBe('Connection lost.');
+          }
+          expect(this.logs).toEqual(['begin', 'rollback']);
+
+          expect(gallery.exists()).toBe(true);
+          expect(gallery.original('name')).toBe('Foo Gallery');
+          expect(gallery.get('name')).toBe('Bar Gallery');
+          expect(gallery.modified()).toBe(true);
+          done();
+        }.bind(this));
+
+      });
+
+      it("doesn't use transactions when disabled", function(done) {
+
+        co(function*() {
+          yield Gallery.create({ name: 'Foo Gallery' }).save({ transaction: false });
+          expect(this.logs).toEqual([]);
+          done();
+        }.bind(this));
+
+      });
+
+    });
+
   });
 
   describe(".query()", function() {
@@ -1348,6 +1828,20 @@ describe("Schema", function() {
 
   });
 
+  describe(".bulkUpsert()", function() {
+
+    it("throws an Error", function() {
+
+      var closure = function() {
+        this.schema.bulkUpsert();
+      }.bind(this);
+
+      expect(closure).toThrow(new Error("Missing `bulkUpsert()` implementation for `" + this.schema.reference().name + "`'s schema."));
+
+    });
+
+  });
+
   describe(".remove()", function() {
 
     it("throws an Error", function() {
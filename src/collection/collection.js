@@ -4,6 +4,9 @@ var throttle = require('throttleit');
 var dotpath = require('dotpath-parser');
 var extend = require('extend-merge').extend;
 var merge = require('extend-merge').merge;
+var jsonPatch = require('../json-patch');
+var pointerOf = jsonPatch.pointerOf;
+var exportValue = jsonPatch.exportValue;
 
 /**
  * `Collection` provide context-specific features for working with sets of data.
@@ -325,24 +328,14 @@ class Collection {
       return this;
     }
 
-    if (this.schema()) {
-      data = this.schema().cast(undefined, data, {
-        exists: options ? options.exists : undefined,
-        parent: this,
-        basePath: this.basePath(),
-        dottedPath: this.dottedPath(),
-        defaults: true
-      });
-    } else if (data && data.setParent) {
-      data.setParent(this, offset);
-      data.basePath(this.basePath());
-    }
+    data = this._cast(data, options);
 
+    var value;
     if (name !== undefined) {
       if (typeof name !== 'number' ) {
        throw new Error("Invalid index `" + name + "` for a collection, must be a numeric value.");
       }
-      var value = this._data[name];
+      value = this._data[name];
       this._data[name] = data;
       if (value && typeof value.unsetParent === 'function') {
         value.unsetParent(this);
@@ -354,10 +347,36 @@ class Collection {
       data.setParent(this, name);
     }
     this._modified = true;
+    if (!options || !options.noevent) {
+      this._notify({ path: String(name), oldValue: value, newValue: data, origin: options && options.origin || 'set' });
+    }
     this.trigger('modified');
     return this;
   }
 
+  /**
+   * Casts a value to be stored in the collection.
+   *
+   * @param  mixed  data    The value to cast.
+   * @param  Object options The casting options.
+   * @return mixed          The casted value.
+   */
+  _cast(data, options) {
+    if (this.schema()) {
+      return this.schema().cast(undefined, data, {
+        exists: options ? options.exists : undefined,
+        parent: this,
+        basePath: this.basePath(),
+        dottedPath: this.dottedPath(),
+        defaults: true
+      });
+    }
+    if (data && data.setParent) {
+      data.basePath(this.basePath());
+    }
+    return data;
+  }
+
   /**
    * Trigger an event through the graph.
    *
@@ -384,6 +403,38 @@ class Collection {
     }
   }
 
+  /**
+   * Emits a `'change'` event and bubbles it up through the parents (see `Document._notify()`).
+   *
+   * Changes of the collection itself (i.e. `splice()` or `sort()`) have an empty path.
+   *
+   * @param Object event  The change event (i.e. `{ path, oldValue, newValue, origin }`).
+   * @param Map    ignore The ignore Map.
+   */
+  _notify(event, ignore) {
+    if (!Collection._classes.document.emitEnabled) {
+      return;
+    }
+    ignore = ignore || new Map();
+
+    if (ignore.has(this)) {
+      return;
+    }
+    ignore.set(this, true);
+
+    this.emit('change', event);
+
+    for (var [parent, field] of this.parents()) {
+      var key = Array.isArray(parent._data) ? parent.indexOf(this) : field;
+      if (key === -1) {
+        continue;
+      }
+      parent._notify(extend({}, event, {
+        path: event.path !== '' ? key + '.' + event.path : String(key)
+      }), ignore);
+    }
+  }
+
   /**
    * Adds data into the `Collection` instance.
    *
@@ -391,7 +442,7 @@ class Collection {
    * @return mixed          Returns the set `Entity` object.
    */
   push(data) {
-    this.setAt(undefined, data);
+    this.setAt(undefined, data, { origin: 'push' });
     return this;
   }
 
@@ -440,6 +491,7 @@ class Collection {
       value.unsetParent(this);
     }
     this._modified = true;
+    this._notify({ path: String(name), oldValue: value, newValue: undefined, origin: 'unset' });
     this.trigger('modified');
   }
 
@@ -481,10 +533,12 @@ class Collection {
 
       var data = data instanceof Collection ? data.get() : data;
 
+      var setOptions = extend({}, options, { origin: 'amend' });
+
       this._triggerEnabled = false;
       var len = data.length
       for (var i = 0; i < len; i++) {
-        this.setAt(i, data[i], options);
+        this.setAt(i, data[i], setOptions);
         isModified = true;
       }
       for (var j = len; j < count; j++) {
@@ -633,7 +687,7 @@ class Collection {
   /**
    * Find the index of an entity with a defined id.
    *
-   * @param  mixed             id The entity id to look for.
+   * @param  mixed             id The entity id to look for (i.e. a tuple of values for compound keys).
    * @return Integer|undefined    The entity's index number in the collection or `undefined` if not found.
    */
   indexOfId(id) {
@@ -724,11 +778,22 @@ class Collection {
    *
    * @param  integer  offset The offset value.
    * @param  integer  length The number of element to extract.
+   * @param  mixed    ...    The elements to add at the offset position.
    * @return Array           An array containing the deleted elements.
    */
   splice(offset, length) {
-    var result = this._data.splice(offset, length);
+    var previous = this._data.slice();
+    var items = Array.prototype.slice.call(arguments, 2).map(function(item) {
+      return this._cast(item);
+    }, this);
+    var result = this._data.splice.apply(this._data, [offset, length].concat(items));
+    for (var item of items) {
+      if (item && typeof item.setParent === 'function') {
+        item.setParent(this, this._data.indexOf(item));
+      }
+    }
     this._modified = true;
+    this._notify({ path: '', oldValue: previous, newValue: this._data.slice(), origin: 'splice' });
     this.trigger('modified');
     return result;
   }
@@ -743,8 +808,10 @@ class Collection {
    * @return object           Returns the new sorted collection.
    */
   sort(closure) {
+    var previous = this._data.slice();
     this._data.sort(closure);
     this._modified = true;
+    this._notify({ path: '', oldValue: previous, newValue: this._data.slice(), origin: 'sort' });
     this.trigger('modified');
     return this;
   }
@@ -777,6 +844,44 @@ class Collection {
     return this._original;
   }
 
+  /**
+   * Returns the modifications of the collection as a JSON Patch (RFC 6902) against its original items.
+   * Items are compared by position and unchanged documents are diffed recursively.
+   *
+   * @param  String pointer The JSON pointer prefix of the operations paths.
+   * @param  Set    ignore  The already processed instances to ignore (address circular dependencies).
+   * @return Array          The JSON Patch operations.
+   */
+  diff(pointer, ignore) {
+    pointer = pointer || '';
+    ignore = ignore || new Set();
+
+    if (ignore.has(this)) {
+      return [];
+    }
+    ignore.add(this);
+
+    var operations = [];
+    var original = this._original;
+    var count = Math.min(original.length, this._data.length);
+
+    for (var i = 0; i < count; i++) {
+      var value = this._data[i];
+      if (value !== original[i]) {
+        operations.push({ op: 'replace', path: pointerOf(pointer, i), value: exportValue(value) });
+      } else if (value && typeof value.diff === 'function') {
+        operations.push.apply(operations, value.diff(pointerOf(pointer, i), ignore));
+      }
+    }
+    for (var i = count; i < this._data.length; i++) {
+      operations.push({ op: 'add', path: pointerOf(pointer, i), value: exportValue(this._data[i]) });
+    }
+    for (var i = original.length - 1; i >= this._data.length; i--) {
+      operations.push({ op: 'remove', path: pointerOf(pointer, i) });
+    }
+    return operations;
+  }
+
   /**
    * Creates and/or updates a collection and its direct relationship data in the datasource.
    *
@@ -808,11 +913,13 @@ class Collection {
   /**
    * Deletes the data associated with the current `Model`.
    *
+   * @param  Object  options Options:
+   *                         - `'force'` _Boolean_ : Removes entities even if soft delete is enabled.
    * @return Promise Success.
    */
-  delete() {
+  delete(options) {
     var schema = this.schema();
-    return schema.delete(this);
+    return schema.delete(this, options);
   }
 
   /**
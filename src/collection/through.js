@@ -528,7 +528,7 @@ class Through {
   /**
    * Find the index of an entity with a defined id.
    *
-   * @param  mixed             id The entity id to look for.
+   * @param  mixed             id The entity id to look for (i.e. a tuple of values for compound keys).
    * @return Integer|undefined    The entity's index number in the collection or `undefined` if not found.
    */
   indexOfId(id) {
@@ -634,12 +634,12 @@ class Through {
    * @return Array           An array containing the deleted elements.
    */
   splice(offset, length) {
-    this._parent.get(this._through).splice(offset, length);
+    var removed = this._parent.get(this._through).splice(offset, length);
 
     var data = [];
-    this.forEach(function(value, key) {
-      data.push(value.get(this._using));
-    }.bind(this));
+    for (var entity of removed) {
+      data.push(entity.get(this._using));
+    }
 
     return new Collection({ data: data });
   }
@@ -39,6 +39,9 @@ class Conventions {
         references: function(name) {
             return underscore(inflector.singular(name)) + '_ids';
         },
+        referenceType: function(name) {
+            return underscore(inflector.singular(name)) + '_type';
+        },
         field: function(name) {
             return underscore(inflector.singular(name));
         },
@@ -10,6 +10,53 @@ var Validator = require('chaos-validator').Validator;
 var Conventions = require('./conventions');
 var Collection = require('./collection/collection');
 var Through = require('./collection/through');
+var jsonPatch = require('./json-patch');
+var pointerOf = jsonPatch.pointerOf;
+var parsePointer = jsonPatch.parsePointer;
+var exportValue = jsonPatch.exportValue;
+var isEqual = jsonPatch.isEqual;
+
+/**
+ * Takes a snapshot of the state of a document tree (i.e. the document and all its embedded documents,
+ * collections and relations).
+ *
+ * @param  mixed instance The instance to snapshot.
+ * @param  Map   states   The states of the already processed instances.
+ * @return Map            The states.
+ */
+function snapshot(instance, states) {
+  if (!instance || typeof instance !== 'object' || !(instance._parents instanceof Map) || states.has(instance)) {
+    return states;
+  }
+  var isCollection = Array.isArray(instance._data);
+  states.set(instance, {
+    data: isCollection ? instance._data.slice() : extend({}, instance._data),
+    parents: new Map(instance._parents),
+    modified: instance._modified
+  });
+  var values = isCollection ? instance._data : Object.keys(instance._data).map(function(key) {
+    return instance._data[key];
+  });
+  for (var value of values) {
+    snapshot(value, states);
+  }
+  return states;
+}
+
+/**
+ * Restores the state of a document tree (see `snapshot()`).
+ *
+ * @param Map states The states to restore.
+ */
+function restore(states) {
+  for (var [instance, state] of states) {
+    instance._data = state.data;
+    instance._parents = state.parents;
+    if (state.modified !== undefined) {
+      instance._modified = state.modified;
+    }
+  }
+}
 
 class Document {
 
@@ -478,6 +525,13 @@ class Document {
     var fieldName = this.basePath() ? this.basePath() + '.' + name : String(name);
     var schema = this.schema();
 
+    if (schema.hasRelation(fieldName, true)) {
+      var contained = schema.relation(fieldName);
+      if (contained.link() === contained.constructor.LINK_CONTAINED) {
+        return contained.owner(this);
+      }
+    }
+
     var field = {};
 
     if (schema.has(fieldName)) {
@@ -505,17 +559,21 @@ class Document {
       return this._data[name];
     } else if(schema.hasRelation(fieldName, false)) {
       var relation = schema.relation(fieldName);
+      if (relation.type() === 'hasOneThrough') {
+        return this._getThrough(relation, fetchHandler);
+      }
       var hasManyThrough = relation.type() === 'hasManyThrough';
       if (!hasManyThrough || (this.id() != null && !this.has(relation.through()))) {
         var belongsTo = relation.type() === 'belongsTo';
-        var foreignKey = belongsTo ? this.get(relation.keys('from')) : null;
+        var foreignKey = belongsTo ? relation.keyValue(this, 'from') : null;
         if ((this._exists !== false && !belongsTo) || foreignKey !== null) {
           if (fetchHandler) {
             return fetchHandler(this, name);
           } else if (this.constructor.unicity() && foreignKey !== null) {
             var model = relation.to();
-            if (model.shard().has(foreignKey)) {
-              this._data[name] = model.shard().get(foreignKey);
+            var id = model.identity(foreignKey);
+            if (model.shard().has(id)) {
+              this._data[name] = model.shard().get(id);
               return this._data[name];
             }
           }
@@ -536,6 +594,31 @@ class Document {
     return null;
   }
 
+  /**
+   * Returns the related entity of a `hasOneThrough` relation (i.e. the related entity of the intermediate entity).
+   *
+   * @param  Object   relation     The relation.
+   * @param  Function fetchHandler The fetching handler.
+   * @return mixed
+   */
+  _getThrough(relation, fetchHandler) {
+    var through = relation.through();
+    var using = relation.using();
+    var fetchable = fetchHandler && this._exists !== false;
+
+    if (fetchable && !this.has(through)) {
+      return fetchHandler(this, relation.name());
+    }
+    var middle = this.get(through);
+    if (!middle) {
+      return null;
+    }
+    if (fetchable && !middle.has(using)) {
+      return fetchHandler(this, relation.name());
+    }
+    return middle.get(using);
+  }
+
   /**
    * Sets one or several properties.
    *
@@ -607,7 +690,7 @@ class Document {
       if (this.get(name) == undefined) {
         this.setAt(name, { [path.join('.')]: data }, options);
       } else {
-        var value = this._data[name];
+        var value = this._data[name] !== undefined ? this._data[name] : this.get(name);
         if (!value || value.setAt === undefined) {
           throw new Error("The field: `" + name + "` is not a valid document or entity.");
         }
@@ -619,6 +702,25 @@ class Document {
 
     var schema = this.schema();
     name = String(name);
+    var fieldName = this.basePath() ? this.basePath() + '.' + name : name;
+
+    if (schema.hasRelation(fieldName, true)) {
+      var contained = schema.relation(fieldName);
+      if (contained.link() === contained.constructor.LINK_CONTAINED) {
+        throw new Error("The `'" + name + "'` relation is a contained relation and can't be set.");
+      }
+    }
+
+    if (schema.hasRelation(fieldName, false) && schema.relation(fieldName).type() === 'hasOneThrough') {
+      var relation = schema.relation(fieldName);
+      if (!this.get(relation.through())) {
+        this.setAt(relation.through(), {}, options);
+      }
+      this.get(relation.through()).setAt(relation.using(), data, options);
+      this._applyWatch(name);
+      return this;
+    }
+
     var previous = this._data[name];
     var value = schema.cast(name, data, {
       parent: this,
@@ -631,10 +733,13 @@ class Document {
       this._applyWatch(name);
       return this;
     }
-    var fieldName = this.basePath() ? this.basePath() + '.' + name : name;
 
     this._data[name] = value;
 
+    if (!options || !options.noevent) {
+      this._notify({ path: name, oldValue: previous, newValue: value, origin: options && options.origin || 'set' });
+    }
+
     if (schema.isVirtual(fieldName)) {
       return this;
     }
@@ -642,7 +747,18 @@ class Document {
     if (schema.hasRelation(fieldName, false)) {
       var relation = schema.relation(fieldName);
       if (relation.type() === 'belongsTo') {
-        this.setAt(relation.keys('from'), value ? value.id() : null);
+        var from = relation.keys('from');
+        if (Array.isArray(from)) {
+          var to = relation.keys('to');
+          from.forEach(function(key, i) {
+            this.setAt(key, value ? value.get(to[i]) : null);
+          }.bind(this));
+        } else {
+          this.setAt(from, value ? value.id() : null);
+        }
+        if (relation.types()) {
+          this.setAt(relation.typeKey(), value ? relation.typeOf(value) : null);
+        }
       }
     }
 
@@ -702,6 +818,39 @@ class Document {
     }
   }
 
+  /**
+   * Emits a `'change'` event and bubbles it up through the parents, the path being prefixed
+   * by the field name (or index) of each parent. So parents get the full path from themselves.
+   *
+   * Unlike `'modified'` events, change events are not throttled.
+   *
+   * @param Object event  The change event (i.e. `{ path, oldValue, newValue, origin }`).
+   * @param Map    ignore The ignore Map.
+   */
+  _notify(event, ignore) {
+    if (!Document.emitEnabled) {
+      return;
+    }
+    ignore = ignore || new Map();
+
+    if (ignore.has(this)) {
+      return;
+    }
+    ignore.set(this, true);
+
+    this.emit('change', event);
+
+    for (var [parent, field] of this._parents) {
+      var key = Array.isArray(parent._data) ? parent.indexOf(this) : field;
+      if (key === -1) {
+        continue;
+      }
+      parent._notify(extend({}, event, {
+        path: event.path !== '' ? key + '.' + event.path : String(key)
+      }), ignore);
+    }
+  }
+
   /**
    * Watch a path
    *
@@ -768,9 +917,10 @@ class Document {
   /**
    * Apply watches
    *
-   * @param String path The modified path.
+   * @param String|Array path The modified path.
    */
   _applyWatch(path) {
+    path = Array.isArray(path) ? path : [path];
     if (this._watches.size) {
       this._watches.forEach(function(watches) {
         watches.forEach(function(handler) {
@@ -815,12 +965,21 @@ class Document {
       var path = keys.slice();
       path.shift();
       var value = this.get(name);
-      if (value instanceof Document) {
+      if (value && typeof value.unset === 'function') {
         value.unset(path);
       }
       this._applyWatch(keys);
       return;
     }
+    var fieldName = this.basePath() ? this.basePath() + '.' + name : name;
+    var schema = this.schema();
+    if (schema.hasRelation(fieldName, false) && schema.relation(fieldName).type() === 'hasOneThrough') {
+      var relation = schema.relation(fieldName);
+      if (this.has(relation.through())) {
+        this.unset([relation.through(), relation.using()]);
+      }
+      return;
+    }
     var value = this._data[name];
     if (value && typeof value.unsetParent === 'function') {
       value.unsetParent(this);
@@ -828,6 +987,7 @@ class Document {
     this._applyWatch(name);
     if (this._data[name] !== undefined) {
       delete this._data[name];
+      this._notify({ path: name, oldValue: value, newValue: undefined, origin: 'unset' });
       this.trigger('modified');
     }
     return this;
@@ -962,9 +1122,11 @@ class Document {
 
     var isModified = false;
 
+    var setOptions = extend({}, options, { origin: 'amend' });
+
     this._triggerEnabled = false;
     for (key in data) {
-      this.setAt(key, data[key], options);
+      this.setAt(key, data[key], setOptions);
       if (this._original[key] !== this._data[key]) {
         isModified = true;
       }
@@ -1006,14 +1168,308 @@ class Document {
         names.push(field);
       }
     }
+    var previous = this._data;
     this._data = extend({}, this._original);
     for (var name of names) {
       this._applyWatch(name);
+      this._notify({ path: name, oldValue: previous[name], newValue: this._data[name], origin: 'restore' });
     }
     this.trigger('modified');
     return this;
   }
 
+  /**
+   * Returns the modifications of the document as a JSON Patch (RFC 6902) against its original values.
+   * Embedded documents, collections and loaded relations are diffed recursively against their own
+   * original values.
+   *
+   * @param  String pointer The JSON pointer prefix of the operations paths.
+   * @param  Set    ignore  The already processed instances to ignore (address circular dependencies).
+   * @return Array          The JSON Patch operations.
+   */
+  diff(pointer, ignore) {
+    pointer = pointer || '';
+    ignore = ignore || new Set();
+
+    if (ignore.has(this)) {
+      return [];
+    }
+    ignore.add(this);
+
+    var schema = this.schema();
+    var operations = [];
+    var fields = Object.keys(extend({}, this._original, this._data));
+
+    for (var field of fields) {
+      var path = pointerOf(pointer, field);
+      var fieldName = this.basePath() ? this.basePath() + '.' + field : field;
+
+      var loaded = false;
+
+      if (schema.hasRelation(fieldName, false)) {
+        var type = schema.relation(fieldName).type();
+        if (type === 'hasManyThrough' || type === 'hasOneThrough') {
+          continue;
+        }
+        loaded = true;
+      }
+      if (!this._data.hasOwnProperty(field)) {
+        operations.push({ op: 'remove', path: path });
+        continue;
+      }
+      var value = this._data[field];
+      var exported = value && typeof value.to === 'function' ? value.to('array') : schema.format('array', fieldName, value);
+
+      if (!this._original.hasOwnProperty(field)) {
+        // Loaded relations are not part of the original data, only new related entities are added.
+        if (loaded && value && typeof value.diff === 'function' && !(typeof value.exists === 'function' && value.exists() === false)) {
+          operations.push.apply(operations, value.diff(path, ignore));
+          continue;
+        }
+        operations.push({ op: 'add', path: path, value: exported });
+      } else if (this._original[field] !== value) {
+        operations.push({ op: 'replace', path: path, value: exported });
+      } else if (value && typeof value.diff === 'function') {
+        operations.push.apply(operations, value.diff(path, ignore));
+      }
+    }
+    return operations;
+  }
+
+  /**
+   * Applies a JSON Patch (RFC 6902) to the document.
+   * Values are set through `setAt()` so they are casted according to the schema.
+   *
+   * Operations are applied atomically, when an operation fails the document is restored to its
+   * previous state and the error is rethrown.
+   *
+   * @param  Array  operations The JSON Patch operations.
+   * @return self              Returns `this`.
+   */
+  patch(operations) {
+    operations = Array.isArray(operations) ? operations : [operations];
+    var states = snapshot(this, new Map());
+
+    try {
+      this._applyPatch(operations);
+    } catch (e) {
+      restore(states);
+      throw e;
+    }
+    return this;
+  }
+
+  /**
+   * Applies some JSON Patch operations in sequence (see `patch()`).
+   *
+   * @param Array operations The JSON Patch operations.
+   */
+  _applyPatch(operations) {
+    for (var operation of operations) {
+      var keys = parsePointer(operation.path);
+
+      switch (operation.op) {
+        case 'add':
+          this._patch('add', keys, operation.value);
+          break;
+        case 'replace':
+          this._patch('replace', keys, operation.value);
+          break;
+        case 'remove':
+          this._patch('remove', keys);
+          break;
+        case 'move':
+          var from = parsePointer(operation.from);
+          var value = this._patch('remove', from);
+          this._patch('add', keys, value);
+          break;
+        case 'copy':
+          this._patch('add', keys, exportValue(this._patch('get', parsePointer(operation.from))));
+          break;
+        case 'test':
+          if (!isEqual(exportValue(this._patch('get', keys)), exportValue(operation.value))) {
+            throw new Error("JSON Patch test failed for path `'" + operation.path + "'`.");
+          }
+          break;
+        default:
+          throw new Error("Invalid JSON Patch operation `'" + operation.op + "'`.");
+      }
+    }
+  }
+
+  /**
+   * Applies a single JSON Patch operation.
+   *
+   * @param  String op    The operation, `'get'`, `'add'`, `'replace'` or `'remove'`.
+   * @param  Array  keys  The path of the operation.
+   * @param  mixed  value The value to add or to replace with.
+   * @return mixed        The current value for `'get'` and `'remove'`, `undefined` otherwise.
+   */
+  _patch(op, keys, value) {
+    var path = '/' + keys.join('/');
+    var name = keys[keys.length - 1];
+    var container = this;
+
+    for (var i = 0; i < keys.length - 1; i++) {
+      if (!container || typeof container.has !== 'function' || !container.has([keys[i]])) {
+        throw new Error("Invalid JSON Patch path `'" + path + "'`.");
+      }
+      container = container.get([keys[i]]);
+    }
+    if (!container || typeof container.has !== 'function') {
+      throw new Error("Invalid JSON Patch path `'" + path + "'`.");
+    }
+
+    if (!Array.isArray(container._data)) {
+      var exists = container.has([name]);
+      if (op !== 'add' && !exists) {
+        throw new Error("Invalid JSON Patch path `'" + path + "'`.");
+      }
+      var current = exists ? this.get(keys) : undefined;
+      if (op === 'get') {
+        return current;
+      }
+      if (op === 'remove') {
+        this.unset(keys);
+        return current;
+      }
+      this.setAt(keys, value);
+      return;
+    }
+
+    var index = name === '-' ? container.count() : Number(name);
+    var max = op === 'add' ? container.count() : container.count() - 1;
+    if (!/^(0|[1-9][0-9]*|-)$/.test(name) || index > max || (name === '-' && op !== 'add')) {
+      throw new Error("Invalid JSON Patch path `'" + path + "'`.");
+    }
+    var current = index < container.count() ? container.get(index) : undefined;
+    if (op === 'get') {
+      return current;
+    }
+    if (op === 'remove') {
+      container.unset(index);
+    } else if (op === 'add') {
+      container.splice(index, 0, value);
+    } else {
+      container.set(index, value);
+    }
+    this._applyWatch(keys);
+    return op === 'remove' ? current : undefined;
+  }
+
+  /**
+   * Returns a deep copy of the document, its embedded documents and its loaded relations.
+   * The copies are rebuilt through `Schema.cast()`, related entities shared in the tree remain shared.
+   *
+   * @param  Object options Possibles values are:
+   *                        - `'embed'`     _mixed_  : The relations to clone (defaults to `true` for all the loaded ones).
+   *                        - `'resetKeys'` _Boolean_: If `true`, the primary keys and the foreign keys referencing
+   *                                                   cloned entities are stripped (defaults to `false`).
+   *                        - `'exists'`    _mixed_  : The exists value of the clones (defaults to the exists value of
+   *                                                   each cloned entity or `false` when keys are reset).
+   * @return Object         The cloned instance.
+   * @throws Error          When keys are kept for some existing entities of a model with unicity enabled.
+   */
+  clone(options) {
+    var defaults = {
+      embed: true,
+      resetKeys: false,
+      exists: undefined
+    };
+    options = extend({}, defaults, options);
+
+    if (options.resetKeys && options.exists === true) {
+      throw new Error("Clones can't be flagged as existing when their keys are reset.");
+    }
+    if (options.embed === true) {
+      options.embed = this.hierarchy();
+    }
+    return this._clone(options, new Map(), []);
+  }
+
+  /**
+   * Clones the document (see `clone()`).
+   *
+   * @param  Object options The cloning options.
+   * @param  Map    clones  The already cloned instances.
+   * @param  Array  strip   The foreign key fields to strip.
+   * @return Object         The cloned instance.
+   */
+  _clone(options, clones, strip) {
+    if (clones.has(this)) {
+      return clones.get(this);
+    }
+    var unicity = typeof this.constructor.unicity === 'function' && this.constructor.unicity();
+    if (unicity && !options.resetKeys && this._exists === true) {
+      throw new Error("Existing `" + this.constructor.name + "` entities can't be cloned with their keys when unicity is enabled, use the `'resetKeys'` option.");
+    }
+    var schema = this.schema();
+    var basePath = this.basePath();
+    var embed = schema.treeify(options.embed);
+    var data = {};
+
+    var fields = Object.keys(this._data);
+    for (var field of fields) {
+      var value = this._data[field];
+      var fieldName = basePath ? basePath + '.' + field : field;
+
+      if (options.resetKeys && strip.indexOf(field) !== -1) {
+        continue;
+      }
+      if (!schema.hasRelation(fieldName, false)) {
+        data[field] = value && typeof value.to === 'function' ? value.to('array') : value;
+        continue;
+      }
+      var rel = schema.relation(fieldName);
+      if (embed[field] === undefined || rel.type() === 'hasManyThrough' || rel.type() === 'hasOneThrough') {
+        continue;
+      }
+      var relOptions = extend({}, options, { embed: embed[field] ? embed[field].embed : [] });
+      var keys = rel.type() === 'belongsTo' || rel.link() !== rel.constructor.LINK_KEY ? [] : [].concat(rel.keys('to'));
+
+      if (value && Array.isArray(value._data)) {
+        data[field] = value._data.map(function(item) {
+          return item && typeof item._clone === 'function' ? item._clone(relOptions, clones, keys) : item;
+        });
+      } else {
+        data[field] = value && typeof value._clone === 'function' ? value._clone(relOptions, clones, keys) : value;
+      }
+    }
+
+    if (options.resetKeys) {
+      if (!basePath && schema.key()) {
+        for (var key of [].concat(schema.key())) {
+          delete data[key];
+        }
+      }
+      for (var name in data) {
+        var fieldName = basePath ? basePath + '.' + name : name;
+        if (!schema.hasRelation(fieldName, false)) {
+          continue;
+        }
+        var rel = schema.relation(fieldName);
+        if (rel.type() === 'belongsTo' || rel.link() === rel.constructor.LINK_KEY_LIST) {
+          for (var key of [].concat(rel.keys('from'))) {
+            delete data[key];
+          }
+        }
+      }
+    }
+
+    var exists = options.exists !== undefined ? options.exists : (options.resetKeys ? false : this._exists);
+
+    // Clones are casted as new entities so they never replace the original ones in the shard when unicity is enabled.
+    var clone = schema.cast(undefined, data, {
+      basePath: basePath,
+      exists: false,
+      defaults: false,
+      config: { class: this.constructor, schema: schema }
+    });
+    clone._exists = exists;
+    clones.set(this, clone);
+    return clone;
+  }
+
   /**
    * Returns all included relations accessible through this entity.
    *
@@ -1039,7 +1495,7 @@ class Document {
 
     for (var field of tree) {
       var rel = this.schema().relation(field);
-      if (rel.type() === 'hasManyThrough') {
+      if (rel.type() === 'hasManyThrough' || rel.type() === 'hasOneThrough') {
         habtm[field] = rel;
         continue;
       }
@@ -1132,6 +1588,8 @@ class Document {
         var rel = schema.relation(path);
         if (rel.type() === 'hasManyThrough') {
           key = rel.through();
+        } else if (rel.type() === 'hasOneThrough') {
+          key = rel.through() + '.' + rel.using();
         }
       }
       if (!this.has(key)) {
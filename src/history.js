@@ -0,0 +1,282 @@
+/**
+ * Checks whether an instance is a collection.
+ *
+ * @param  mixed   value The value to check.
+ * @return Boolean
+ */
+function isCollection(value) {
+  return !!value && Array.isArray(value._data);
+}
+
+/**
+ * Applies a recorded change on an entity tree.
+ *
+ * @param Object root  The root entity, document or collection.
+ * @param Object event The change event.
+ * @param mixed  value The value to apply (i.e. the old value to undo or the new value to redo).
+ */
+function replay(root, event, value) {
+  var keys = event.path !== '' ? event.path.split('.') : [];
+
+  if (event.origin === 'splice' || event.origin === 'sort') {
+    var collection = keys.length ? root.get(keys.slice()) : root;
+    collection.splice.apply(collection, [0, collection.count()].concat(value));
+    applyWatch(root, keys);
+    return;
+  }
+
+  var name = keys.pop();
+  var container = keys.length ? root.get(keys.slice()) : root;
+
+  if (!isCollection(container)) {
+    if (value === undefined) {
+      root.unset(keys.concat(name));
+    } else {
+      root.setAt(keys.concat(name), value);
+    }
+    return;
+  }
+
+  var index = Number(name);
+  if (value === undefined) {
+    container.splice(index, 1);
+  } else if (event.origin === 'push' || event.origin === 'unset') {
+    container.splice(index, 0, value);
+  } else {
+    container.set(index, value);
+  }
+  applyWatch(root, keys.concat(name));
+}
+
+/**
+ * Runs the watchers of a root document for a path modified through one of its collections.
+ *
+ * @param Object root The root entity, document or collection.
+ * @param Array  keys The modified path.
+ */
+function applyWatch(root, keys) {
+  if (keys.length && typeof root._applyWatch === 'function') {
+    root._applyWatch(keys);
+  }
+}
+
+/**
+ * The `History` class records the changes of an entity tree (i.e. the entity and all its embedded
+ * documents, collections and relations) to be able to undo or redo them.
+ *
+ * Changes made in the same tick are grouped in a single step.
+ *
+ * Example:
+ * ```js
+ * var history = new History(gallery);
+ * gallery.set('name', 'MyGallery');
+ * history.undo();
+ * ```
+ */
+class History {
+  /**
+   * Constructor.
+   *
+   * @param Object entity The root entity, document or collection to record.
+   */
+  constructor(entity) {
+    /**
+     * The recorded instance.
+     *
+     * @var Object
+     */
+    this._entity = entity;
+
+    /**
+     * The undoable steps.
+     *
+     * @var Array
+     */
+    this._undos = [];
+
+    /**
+     * The redoable steps.
+     *
+     * @var Array
+     */
+    this._redos = [];
+
+    /**
+     * The step being recorded.
+     *
+     * @var Array
+     */
+    this._step = null;
+
+    /**
+     * Whether changes are being replayed.
+     *
+     * @var Boolean
+     */
+    this._replaying = false;
+
+    this._handler = (event) => {
+      this._record(event);
+    };
+    entity.on('change', this._handler);
+  }
+
+  /**
+   * Gets the recorded instance.
+   *
+   * @return Object
+   */
+  entity() {
+    return this._entity;
+  }
+
+  /**
+   * Stops recording changes.
+   *
+   * @return self
+   */
+  detach() {
+    this._entity.off('change', this._handler);
+    this._step = null;
+    return this;
+  }
+
+  /**
+   * Records a change event.
+   *
+   * Amended values are ignored since they are not changes but persisted values (e.g. generated keys).
+   *
+   * @param Object event The change event.
+   */
+  _record(event) {
+    if (this._replaying || event.origin === 'amend') {
+      return;
+    }
+    if (!this._step) {
+      var step = this._step = [];
+      this._undos.push(step);
+      Promise.resolve().then(() => {
+        if (this._step === step) {
+          this._step = null;
+        }
+      });
+    }
+    this._step.push(event);
+    this._redos = [];
+  }
+
+  /**
+   * Checks whether some changes can be undone.
+   *
+   * @return Boolean
+   */
+  canUndo() {
+    return this._undos.length > 0;
+  }
+
+  /**
+   * Checks whether some changes can be redone.
+   *
+   * @return Boolean
+   */
+  canRedo() {
+    return this._redos.length > 0;
+  }
+
+  /**
+   * Undoes the last recorded step.
+   *
+   * @return Boolean Returns `true` if a step has been undone, `false` otherwise.
+   */
+  undo() {
+    this._step = null;
+    if (!this._undos.length) {
+      return false;
+    }
+    var step = this._undos.pop();
+    this._replay(step.slice().reverse(), 'oldValue');
+    this._redos.push(step);
+    return true;
+  }
+
+  /**
+   * Redoes the last undone step.
+   *
+   * @return Boolean Returns `true` if a step has been redone, `false` otherwise.
+   */
+  redo() {
+    this._step = null;
+    if (!this._redos.length) {
+      return false;
+    }
+    var step = this._redos.pop();
+    this._replay(step, 'newValue');
+    this._undos.push(step);
+    return true;
+  }
+
+  /**
+   * Replays some change events.
+   *
+   * @param Array  events The change events.
+   * @param String value  The event's value to apply, `'oldValue'` or `'newValue'`.
+   */
+  _replay(events, value) {
+    this._replaying = true;
+    try {
+      for (var event of events) {
+        replay(this._entity, event, event[value]);
+      }
+    } finally {
+      this._replaying = false;
+    }
+  }
+
+  /**
+   * Ends the current step and returns a checkpoint of the current state.
+   *
+   * @return Object A checkpoint to pass to `revertTo()`.
+   */
+  checkpoint() {
+    this._step = null;
+    return { step: this._undos.length ? this._undos[this._undos.length - 1] : null };
+  }
+
+  /**
+   * Undoes or redoes steps up to a checkpoint.
+   *
+   * @param  Object checkpoint A checkpoint returned by `checkpoint()`.
+   * @return self
+   */
+  revertTo(checkpoint) {
+    this._step = null;
+    var step = checkpoint ? checkpoint.step : undefined;
+    var undo = step === null || this._undos.indexOf(step) !== -1;
+
+    if (!undo && (step === undefined || this._redos.indexOf(step) === -1)) {
+      throw new Error("Unreachable checkpoint, the history has been modified since its creation.");
+    }
+    while ((this._undos.length ? this._undos[this._undos.length - 1] : null) !== step) {
+      if (undo) {
+        this.undo();
+      } else {
+        this.redo();
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Clears the recorded steps.
+   *
+   * @return self
+   */
+  clear() {
+    this._step = null;
+    this._undos = [];
+    this._redos = [];
+    return this;
+  }
+}
+
+module.exports = History;
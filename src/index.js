@@ -10,6 +10,12 @@ var BelongsTo = require('./relationship/belongs-to');
 var HasOne = require('./relationship/has-one');
 var HasMany = require('./relationship/has-many');
 var HasManyThrough = require('./relationship/has-many-through');
+var HasOneThrough = require('./relationship/has-one-through');
+var MemorySchema = require('./memory/schema');
+var MemoryQuery = require('./memory/query');
+var StaleEntityError = require('./stale-entity-error');
+var Profiler = require('./profiler');
+var History = require('./history');
 
 /**
  * Populates circular dependencies below since they are not supported by Babel yet.
@@ -31,5 +37,11 @@ module.exports = {
   BelongsTo,
   HasOne,
   HasMany,
-  HasManyThrough
+  HasManyThrough,
+  HasOneThrough,
+  MemorySchema,
+  MemoryQuery,
+  StaleEntityError,
+  Profiler,
+  History
 };
@@ -0,0 +1,68 @@
+/**
+ * Builds a JSON pointer from a parent pointer and a key.
+ *
+ * @param  String pointer The parent JSON pointer.
+ * @param  String key     The key.
+ * @return String
+ */
+function pointerOf(pointer, key) {
+  return pointer + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Parses a JSON pointer.
+ *
+ * @param  String pointer The JSON pointer.
+ * @return Array          The keys of the pointer.
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') {
+    throw new Error("Invalid JSON Patch path `'" + pointer + "'`.");
+  }
+  return pointer.substr(1).split('/').map(function(key) {
+    return key.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+}
+
+/**
+ * Exports a value to be used in a JSON Patch operation.
+ *
+ * @param  mixed value The value to export.
+ * @return mixed
+ */
+function exportValue(value) {
+  return value && typeof value.to === 'function' ? value.to('array') : value;
+}
+
+/**
+ * Checks whether two exported values are equals.
+ *
+ * @param  mixed   a A value.
+ * @param  mixed   b Another value.
+ * @return Boolean
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(function(key) {
+    return b.hasOwnProperty(key) && isEqual(a[key], b[key]);
+  });
+}
+
+module.exports = {
+  pointerOf,
+  parsePointer,
+  exportValue,
+  isEqual
+};
@@ -0,0 +1,700 @@
+var co = require('co');
+var extend = require('extend-merge').extend;
+
+/**
+ * Deep copies a plain value (i.e. scalars, arrays and plain objects).
+ *
+ * @param  mixed value The value to copy.
+ * @return mixed       The copied value.
+ */
+function copy(value) {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value !== null && typeof value === 'object' && value.constructor === Object) {
+    var result = {};
+    for (var key in value) {
+      result[key] = copy(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Loosely compares two values the way a datasource would (i.e. `'1'` matches `1`).
+ *
+ * @param  mixed   a The first value.
+ * @param  mixed   b The second value.
+ * @return Boolean
+ */
+function equals(a, b) {
+  if (a == null || b == null) {
+    return a == null && b == null;
+  }
+  return a === b || String(a) === String(b);
+}
+
+/**
+ * Compares two values for ordering purpose, `null` values come first.
+ *
+ * @param  mixed   a The first value.
+ * @param  mixed   b The second value.
+ * @return Integer
+ */
+function compare(a, b) {
+  if (a == null || b == null) {
+    return a == null ? (b == null ? 0 : -1) : 1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  a = String(a);
+  b = String(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Computes an aggregate of some rows.
+ *
+ * @param  Object aggregate The aggregate, i.e. a `'type'` (`'count'`, `'sum'`, `'min'` or `'max'`) and a `'field'`.
+ * @param  Array  rows      The rows.
+ * @return mixed
+ */
+function compute(aggregate, rows) {
+  if (aggregate.type === 'count') {
+    return rows.length;
+  }
+  var values = rows.map(function(row) {
+    return row[aggregate.field];
+  }).filter(function(value) {
+    return value != null;
+  });
+  if (aggregate.type === 'sum') {
+    return values.reduce(function(sum, value) { return sum + Number(value); }, 0);
+  }
+  if (!values.length) {
+    return null;
+  }
+  return values.reduce(function(result, value) {
+    return (aggregate.type === 'min' ? value < result : value > result) ? value : result;
+  });
+}
+
+/**
+ * The `Query` class of the in-memory schema.
+ *
+ * It supports the query options of `chaos-database` queries which make sense for an in-memory
+ * datasource (i.e. `'conditions'`, `'order'`, `'limit'`, `'offset'`, `'page'`, `'fields'`, `'embed'` & `'scope'`).
+ *
+ * Supported conditions are:
+ * - `{ name: value }`                     : equality (`null` matches `null`/`undefined` values).
+ * - `{ name: [value1, value2] }`          : inclusion.
+ * - `{ name: { '>': value } }`            : comparison, available operators are `'='`, `'<>'`, `'!='`,
+ *                                           `'>'`, `'>='`, `'<'`, `'<='`, `':in'` and `':like'`.
+ * - `{ ':and()': [conditions, ...] }`     : logical AND.
+ * - `{ ':or()': [conditions, ...] }`      : logical OR.
+ * - `{ ':not()': conditions }`            : logical NOT.
+ */
+class Query {
+
+  /**
+   * Creates a new query instance.
+   *
+   * @param Object config Possible options are:
+   *                      - `'schema'` _Object_   : The memory schema instance to query.
+   *                      - `'model'`  _Function_ : The model to use for hydrating entities.
+   *                      - `'query'`  _Object_   : The query options to apply, each option is applied
+   *                                                by calling the method of the same name.
+   */
+  constructor(config) {
+    var defaults = {
+      schema: undefined,
+      model: undefined,
+      query: {}
+    };
+    config = extend({}, defaults, config);
+
+    if (!config.schema) {
+      throw new Error("Missing `'schema'` option, can't create a query.");
+    }
+
+    /**
+     * The schema instance.
+     *
+     * @var Object
+     */
+    this._schema = config.schema;
+
+    /**
+     * The model to hydrate.
+     *
+     * @var Function
+     */
+    this._model = config.model;
+
+    /**
+     * The conditions (AND-ed together).
+     *
+     * @var Array
+     */
+    this._conditions = [];
+
+    /**
+     * The ordering definitions as `[field, direction]` pairs.
+     *
+     * @var Array
+     */
+    this._order = [];
+
+    /**
+     * The maximum number of rows to return.
+     *
+     * @var Integer
+     */
+    this._limit = undefined;
+
+    /**
+     * The number of rows to skip.
+     *
+     * @var Integer
+     */
+    this._offset = 0;
+
+    /**
+     * The page number (requires a limit).
+     *
+     * @var Integer
+     */
+    this._page = undefined;
+
+    /**
+     * The fields to return.
+     *
+     * @var Array
+     */
+    this._fields = [];
+
+    /**
+     * The relations to eager load.
+     *
+     * @var Array
+     */
+    this._embed = [];
+
+    /**
+     * The maximum number of rows to return per group (i.e. `{ group: [...], limit: ... }`).
+     *
+     * @var Object
+     */
+    this._limitPerParent = undefined;
+
+    this._apply(config.query);
+  }
+
+  /**
+   * Applies some query options, each option is applied by calling the method of the same name.
+   *
+   * @param  Object options The query options.
+   * @return self
+   */
+  _apply(options) {
+    for (var key in options) {
+      if (key === 'query' || key.charAt(0) === '_' || typeof this[key] !== 'function') {
+        throw new Error("Invalid option `'" + key + "'` as query options.");
+      }
+      this[key](options[key]);
+    }
+    return this;
+  }
+
+  /**
+   * Returns the schema instance.
+   *
+   * @return Object
+   */
+  schema() {
+    return this._schema;
+  }
+
+  /**
+   * Returns the model.
+   *
+   * @return Function
+   */
+  model() {
+    return this._model;
+  }
+
+  /**
+   * Adds some conditions to the query.
+   *
+   * @param  Object conditions The conditions.
+   * @return self
+   */
+  conditions(conditions) {
+    if (!arguments.length) {
+      return this._conditions.length > 1 ? { ':and()': this._conditions.slice() } : (this._conditions[0] || {});
+    }
+    if (conditions && Object.keys(conditions).length) {
+      this._conditions.push(conditions);
+    }
+    return this;
+  }
+
+  /**
+   * Alias for `conditions()`.
+   *
+   * @param  Object conditions The conditions.
+   * @return self
+   */
+  where(conditions) {
+    return this.conditions.apply(this, arguments);
+  }
+
+  /**
+   * Adds some ordering definitions.
+   *
+   * Examples: `'name'`, `{ name: 'DESC' }` or `['name', { created: 'DESC' }]`.
+   *
+   * @param  mixed fields The ordering definitions.
+   * @return self
+   */
+  order(fields) {
+    if (!fields) {
+      return this;
+    }
+    fields = Array.isArray(fields) ? fields : [fields];
+    for (var field of fields) {
+      if (typeof field === 'string') {
+        this._order.push([field, 'ASC']);
+        continue;
+      }
+      for (var name in field) {
+        this._order.push([name, String(field[name]).toUpperCase() === 'DESC' ? 'DESC' : 'ASC']);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of rows to return.
+   *
+   * @param  Integer limit The limit value.
+   * @return self
+   */
+  limit(limit) {
+    this._limit = limit ? Number(limit) : undefined;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of rows to return per group of rows sharing the same values for some fields
+   * (i.e. per parent entity on eager loading, rows are kept according to the query order).
+   *
+   * @param  Array   group The fields to group by.
+   * @param  Integer limit The limit value per group.
+   * @return self
+   */
+  limitPerParent(group, limit) {
+    this._limitPerParent = limit ? { group: [].concat(group), limit: Number(limit) } : undefined;
+    return this;
+  }
+
+  /**
+   * Sets the number of rows to skip.
+   *
+   * @param  Integer offset The offset value.
+   * @return self
+   */
+  offset(offset) {
+    this._offset = offset ? Number(offset) : 0;
+    return this;
+  }
+
+  /**
+   * Sets the page number (the offset is then computed using the limit).
+   *
+   * @param  Integer page The page number.
+   * @return self
+   */
+  page(page) {
+    this._page = page ? Number(page) : undefined;
+    return this;
+  }
+
+  /**
+   * Sets the fields to return.
+   *
+   * @param  mixed fields A field name or an array of field names.
+   * @return self
+   */
+  fields(fields) {
+    if (!fields || fields === true) {
+      return this;
+    }
+    this._fields = this._fields.concat(Array.isArray(fields) ? fields : [fields]);
+    return this;
+  }
+
+  /**
+   * Sets the relations to eager load.
+   *
+   * @param  mixed embed The relations to eager load.
+   * @return self
+   */
+  embed(embed) {
+    if (!arguments.length) {
+      return this._embed.slice();
+    }
+    if (!embed) {
+      return this;
+    }
+    this._embed = this._embed.concat(Array.isArray(embed) ? embed : [embed]);
+    return this;
+  }
+
+  /**
+   * Eager loads the number of related entities of some relations (i.e. in a `'<name>_count'` field).
+   *
+   * Example: `Gallery.find().withCount('images')`
+   *
+   * @param  mixed ... The relation names (or arrays of relation names).
+   * @return self
+   */
+  withCount() {
+    var embed = {};
+    for (var name of [].concat.apply([], arguments)) {
+      embed[name] = { count: true };
+    }
+    return this.embed(embed);
+  }
+
+  /**
+   * Applies some named scopes of the model.
+   *
+   * Example: `Post.find().scope('published', ['recent', 7])`
+   *
+   * @param  mixed ... The scopes to apply (see `Model.scope()`).
+   * @return self
+   */
+  scope() {
+    if (!this._model) {
+      throw new Error("Missing `'model'` option, scopes can't be applied.");
+    }
+    for (var options of this._model.scope.apply(this._model, arguments)) {
+      this._apply(options);
+    }
+    return this;
+  }
+
+  /**
+   * Calls a custom handler on the query to alter it.
+   *
+   * @param  Function handler The handler which receives the query instance.
+   * @return self
+   */
+  handler(handler) {
+    if (typeof handler === 'function') {
+      handler(this);
+    }
+    return this;
+  }
+
+  /**
+   * Executes the query and returns the matching raw rows (i.e. filtered, ordered and sliced).
+   *
+   * Note: the returned rows are the stored ones, they must not be modified.
+   *
+   * @return Array
+   */
+  rows() {
+    var rows = this._match();
+    if (this._limitPerParent) {
+      var group = this._limitPerParent.group;
+      var limit = this._limitPerParent.limit;
+      var counts = {};
+      rows = rows.filter(function(row) {
+        var key = JSON.stringify(group.map(function(field) {
+          return row[field];
+        }));
+        counts[key] = (counts[key] || 0) + 1;
+        return counts[key] <= limit;
+      });
+    }
+    var offset = this._offset;
+    if (this._limit && this._page) {
+      offset = (this._page - 1) * this._limit;
+    }
+    return rows.slice(offset, this._limit ? offset + this._limit : undefined);
+  }
+
+  /**
+   * Executes the query and returns the result.
+   *
+   * @param  Object  options The fetching options:
+   *                         - `'return'` _String_ : The return mode, can be `'entity'`, `'array'` or `'object'`.
+   * @return Promise         Returns a collection of entities or an array of plain objects.
+   */
+  get(options) {
+    return co(function*() {
+      var defaults = {
+        'return': 'entity'
+      };
+      options = extend({}, defaults, options);
+
+      var rows = this.rows().map(function(row) {
+        return this._select(row);
+      }.bind(this));
+
+      var collection;
+      var mode = options['return'];
+
+      switch (mode) {
+        case 'entity':
+          var model = this.model();
+          if (!model) {
+            throw new Error("Missing model for this query, set `'return'` to `'array'` or `'object'` to get raw data.");
+          }
+          collection = model.create(rows, { type: 'set', exists: true });
+          break;
+        case 'array':
+        case 'object':
+          collection = rows;
+          break;
+        default:
+          throw new Error("Invalid `'" + mode + "'` mode as `'return'` value");
+      }
+
+      if (this._embed.length) {
+        yield this.schema().embed(collection, this._embed, { fetchOptions: options });
+      }
+      return collection;
+    }.bind(this));
+  }
+
+  /**
+   * Alias for `get()`.
+   *
+   * @param  Object  options The fetching options.
+   * @return Promise
+   */
+  all(options) {
+    return this.get(options);
+  }
+
+  /**
+   * Executes the query and returns the first result only.
+   *
+   * @param  Object  options The fetching options.
+   * @return Promise         Returns an entity, a plain object or `null` when no result.
+   */
+  first(options) {
+    return co(function*() {
+      this.limit(1);
+      var result = yield this.get(options);
+      if (!result.length) {
+        return null;
+      }
+      return Array.isArray(result) ? result[0] : result.get(0);
+    }.bind(this));
+  }
+
+  /**
+   * Executes the query and returns the number of matching rows (limit and offset are ignored).
+   *
+   * @return Promise
+   */
+  count() {
+    return Promise.resolve(this._match().length);
+  }
+
+  /**
+   * Executes the query and returns some aggregates of the matching rows grouped by some fields
+   * (limit and offset are ignored).
+   *
+   * @param  Array   group      The fields to group by.
+   * @param  Array   aggregates The aggregates, i.e. objects with a `'name'`, a `'type'` (`'count'`, `'sum'`,
+   *                            `'min'` or `'max'`) and a `'field'` (except for counts).
+   * @return Promise            Returns an array of plain objects containing the group fields values and
+   *                            the aggregates values indexed by name.
+   */
+  aggregate(group, aggregates) {
+    var groups = new Map();
+    for (var row of this._match()) {
+      var values = group.map(function(field) {
+        return row[field];
+      });
+      var key = JSON.stringify(values);
+      if (!groups.has(key)) {
+        groups.set(key, { values: values, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+
+    var results = [];
+    for (var entry of groups.values()) {
+      var result = {};
+      group.forEach(function(field, i) {
+        result[field] = copy(entry.values[i]);
+      });
+      for (var aggregate of aggregates) {
+        result[aggregate.name] = copy(compute(aggregate, entry.rows));
+      }
+      results.push(result);
+    }
+    return Promise.resolve(results);
+  }
+
+  /**
+   * Returns all stored rows matching conditions in order.
+   *
+   * @return Array
+   */
+  _match() {
+    var conditions = this._conditions;
+    var rows = this.schema().rows().filter(function(row) {
+      return conditions.every(function(condition) {
+        return this._matches(row, condition);
+      }.bind(this));
+    }.bind(this));
+
+    var order = this._order;
+    if (order.length) {
+      rows.sort(function(a, b) {
+        for (var [field, direction] of order) {
+          var result = compare(a[field], b[field]);
+          if (result) {
+            return direction === 'DESC' ? -result : result;
+          }
+        }
+        return 0;
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Checks if a row matches some conditions.
+   *
+   * @param  Object  row        The row.
+   * @param  Object  conditions The conditions.
+   * @return Boolean
+   */
+  _matches(row, conditions) {
+    for (var key in conditions) {
+      var value = conditions[key];
+      var matches;
+      if (key === ':and()') {
+        matches = value.every(function(condition) {
+          return this._matches(row, condition);
+        }.bind(this));
+      } else if (key === ':or()') {
+        matches = value.some(function(condition) {
+          return this._matches(row, condition);
+        }.bind(this));
+      } else if (key === ':not()') {
+        matches = !this._matches(row, value);
+      } else {
+        matches = this._compare(key, row[key], value);
+      }
+      if (!matches) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Compares a row value against an expected value.
+   *
+   * @param  String  field    The field name.
+   * @param  mixed   actual   The row value.
+   * @param  mixed   expected The expected value.
+   * @return Boolean
+   */
+  _compare(field, actual, expected) {
+    if (Array.isArray(expected)) {
+      return expected.some(function(value) {
+        return equals(actual, this._value(field, value));
+      }.bind(this));
+    }
+    if (expected === null || typeof expected !== 'object' || expected.constructor !== Object) {
+      return equals(actual, this._value(field, expected));
+    }
+    for (var operator in expected) {
+      var value = expected[operator];
+      var matches;
+      switch (operator) {
+        case '=':
+          matches = this._compare(field, actual, value);
+          break;
+        case '<>':
+        case '!=':
+          matches = !this._compare(field, actual, value);
+          break;
+        case '>':
+          matches = actual != null && compare(actual, this._value(field, value)) > 0;
+          break;
+        case '>=':
+          matches = actual != null && compare(actual, this._value(field, value)) >= 0;
+          break;
+        case '<':
+          matches = actual != null && compare(actual, this._value(field, value)) < 0;
+          break;
+        case '<=':
+          matches = actual != null && compare(actual, this._value(field, value)) <= 0;
+          break;
+        case ':in':
+          matches = this._compare(field, actual, Array.isArray(value) ? value : [value]);
+          break;
+        case ':like':
+          var pattern = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+          matches = actual != null && new RegExp('^' + pattern + '$', 'i').test(String(actual));
+          break;
+        default:
+          throw new Error("Unsupported operator `'" + operator + "'` for in-memory queries.");
+      }
+      if (!matches) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Formats an expected value the same way stored values has been formatted.
+   *
+   * @param  String field The field name.
+   * @param  mixed  value The value to format.
+   * @return mixed
+   */
+  _value(field, value) {
+    var schema = this.schema();
+    if (value == null || !schema.has(field) || schema.column(field).array) {
+      return value;
+    }
+    return schema.format('array', field, value);
+  }
+
+  /**
+   * Extracts the selected fields of a row as a copy.
+   *
+   * @param  Object row The row.
+   * @return Object
+   */
+  _select(row) {
+    if (!this._fields.length) {
+      return copy(row);
+    }
+    var result = {};
+    for (var field of this._fields) {
+      if (row[field] !== undefined) {
+        result[field] = copy(row[field]);
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = Query;
@@ -0,0 +1,320 @@
+var extend = require('extend-merge').extend;
+var Schema = require('../schema');
+var Query = require('./query');
+var StaleEntityError = require('../stale-entity-error');
+
+/**
+ * An in-memory `Schema` implementation.
+ *
+ * Rows are stored in process, on the schema instance itself, using the `'array'` representation
+ * of the entities (i.e. the same representation a datasource would return). It's intended for unit
+ * tests and prototypes where no real database adapter is available.
+ *
+ * Example:
+ * ```js
+ * import { Model, MemorySchema } from 'chaos-orm';
+ *
+ * class Gallery extends Model {
+ *   static _define(schema) {
+ *     schema.column('id', { type: 'serial' });
+ *     schema.column('name', { type: 'string' });
+ *   }
+ * }
+ * Gallery._definition = MemorySchema;
+ * ```
+ */
+class MemorySchema extends Schema {
+
+  /**
+   * Configures the in-memory schema.
+   *
+   * @see Schema
+   */
+  constructor(config) {
+    super(config);
+
+    /**
+     * The storage, i.e. the stored rows and the last generated primary key value.
+     *
+     * @var Object
+     */
+    this._table = { rows: [], increment: 0 };
+
+    var handlers = this._handlers;
+    this.formatter('array', 'id',     handlers.array['integer']);
+    this.formatter('array', 'serial', handlers.array['integer']);
+
+    this.formatter('cast', 'id',      handlers.cast['integer']);
+    this.formatter('cast', 'serial',  handlers.cast['integer']);
+  }
+
+  /**
+   * Gets/sets the Single Table Inheritance definition.
+   *
+   * Classes of the hierarchy share the storage of the root class.
+   *
+   * @see Schema
+   */
+  inheritance(inheritance) {
+    if (!arguments.length) {
+      return super.inheritance();
+    }
+    super.inheritance(inheritance);
+    var root = this._inheritance ? this._inheritance.root : undefined;
+    if (root && root !== this.reference()) {
+      var schema = root.definition();
+      if (schema instanceof MemorySchema) {
+        this._table = schema._table;
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Returns a copy of the stored rows array.
+   *
+   * @return Array
+   */
+  rows() {
+    return this._table.rows.slice();
+  }
+
+  /**
+   * Returns a query to retrieve data from the in-memory storage.
+   *
+   * @param  Object options Query options:
+   *                        - `'model'` _Function_ : The model to hydrate (defaults to the schema reference).
+   *                        - `'query'` _Object_   : The query options.
+   * @return Object         An instance of `Query`.
+   */
+  query(options) {
+    var defaults = {
+      model: this.reference()
+    };
+    options = extend({}, defaults, options);
+    var query = this.classes().query;
+    return new query(extend({}, options, { schema: this }));
+  }
+
+  /**
+   * Bulk inserts
+   *
+   * @param  Array    inserts An array of entities to insert.
+   * @param  Function filter  The filter handler for which extract entities values for the insertion.
+   * @param  Object   options The save option.
+   * @return Promise          Returns `true` if insert operations succeeded, `false` otherwise.
+   */
+  bulkInsert(inserts, filter, options) {
+    var key = this.key();
+    var compound = Array.isArray(key);
+    for (var entity of inserts) {
+      var row = this._row(filter(entity));
+      var id = compound ? key.map(function(name) { return row[name]; }) : row[key];
+      if (compound && id.some(function(value) { return value == null; })) {
+        return Promise.reject(new Error("Missing values for the `" + key + "` compound key of `" + this.source() + "`, compound keys can't be generated."));
+      }
+      if (id == null) {
+        row[key] = ++this._table.increment;
+      } else {
+        if (this._indexOf(id) !== -1) {
+          return Promise.reject(new Error("Duplicate entry `" + id + "` for the `" + key + "` key of `" + this.source() + "`."));
+        }
+        if (!compound && Number(id) > this._table.increment) {
+          this._table.increment = Number(id);
+        }
+      }
+      this._table.rows.push(row);
+      entity.amend(compound ? {} : { [key]: row[key] }, { exists: true });
+    }
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Bulk updates
+   *
+   * @param  Array    updates An array of entities to update.
+   * @param  Function filter  The filter handler for which extract entities values to update.
+   * @param  Object   options The save option.
+   * @return Promise          Returns `true` if update operations succeeded, `false` otherwise.
+   */
+  bulkUpdate(updates, filter, options) {
+    var versioning = this.versioning();
+    var indexes = [];
+    for (var entity of updates) {
+      var id = entity.id();
+      if (id == null) {
+        return Promise.reject(new Error("Can't update an entity missing ID data."));
+      }
+      var index = this._indexOf(id);
+      if (versioning && (index === -1 || String(this._table.rows[index][versioning.field]) !== String(entity.original(versioning.field)))) {
+        return Promise.reject(new StaleEntityError("The `" + this.source() + "` entity with ID `" + id + "` has been modified since it was loaded.", entity));
+      }
+      indexes.push(index);
+    }
+    updates.forEach(function(entity, i) {
+      if (indexes[i] === -1) {
+        entity.amend();
+        return;
+      }
+      var stored = this._table.rows[indexes[i]];
+      var row = this._row(filter(entity));
+      for (var name in row) {
+        var keys = name.split('.');
+        var field = keys.pop();
+        var target = stored;
+        for (var key of keys) {
+          target = target[key] = target[key] && typeof target[key] === 'object' ? extend({}, target[key]) : {};
+        }
+        target[field] = row[name];
+      }
+      entity.amend();
+    }.bind(this));
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Bulk upserts
+   *
+   * Rows matching the conflict target values are updated (their key and creation timestamp are kept
+   * and amended to the entities), the other ones are inserted.
+   *
+   * @param  Array    upserts An array of entities to upsert.
+   * @param  Function filter  The filter handler for which extract entities values to save.
+   * @param  Object   options The save option, the `'upsert'` option is the conflict target (i.e. an array of field names).
+   * @return Promise          Returns the updated entities if upsert operations succeeded, `false` otherwise.
+   */
+  bulkUpsert(upserts, filter, options) {
+    var keys = [].concat(this.key());
+    var conflict = options.upsert;
+    var timestamps = this.timestamps();
+    var versioning = this.versioning();
+    var inserts = [];
+    var updated = [];
+
+    for (var entity of upserts) {
+      var row = this._row(filter(entity));
+      var values = conflict.map(function(name) { return row[name]; });
+      var index = values.some(function(value) { return value == null; }) ? -1 : this._indexBy(conflict, values);
+      if (index === -1) {
+        if (versioning && entity.get(versioning.field) == null) {
+          entity.set(versioning.field, 1);
+        }
+        inserts.push(entity);
+        continue;
+      }
+      var stored = this._table.rows[index];
+      for (var name of keys) {
+        delete row[name];
+      }
+      if (timestamps && timestamps.created) {
+        delete row[timestamps.created];
+      }
+      if (versioning) {
+        row[versioning.field] = (Number(stored[versioning.field]) || 0) + 1;
+      }
+      extend(stored, row);
+
+      var data = {};
+      var fields = keys.concat(versioning ? [versioning.field] : [], timestamps && timestamps.created ? [timestamps.created] : []);
+      for (var name of fields) {
+        if (stored[name] !== undefined) {
+          data[name] = stored[name];
+        }
+      }
+      entity.amend(data, { exists: true });
+      updated.push(entity);
+    }
+    return this.bulkInsert(inserts, filter, options).then(function(success) {
+      return success ? updated : false;
+    });
+  }
+
+  /**
+   * Removes the rows matching some conditions. If no conditions are provided all rows are removed.
+   *
+   * @param  Object  conditions The conditions.
+   * @param  Object  options    Unused.
+   * @return Promise            Returns `true`.
+   */
+  remove(conditions, options) {
+    var removed = this.query({ query: { conditions: conditions } }).rows();
+    this._table.rows = this._table.rows.filter(function(row) {
+      return removed.indexOf(row) === -1;
+    });
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Truncates the storage.
+   *
+   * @return Promise Returns `true`.
+   */
+  truncate() {
+    this._table.rows = [];
+    this._table.increment = 0;
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Finds the index of a stored row by its primary key.
+   *
+   * @param  mixed   id The primary key value or a tuple of values for compound keys.
+   * @return Integer    The index or `-1` if not found.
+   */
+  _indexOf(id) {
+    return this._indexBy([].concat(this.key()), [].concat(id));
+  }
+
+  /**
+   * Finds the index of the first stored row matching some field values.
+   *
+   * @param  Array   names  The field names.
+   * @param  Array   values The field values.
+   * @return Integer        The index or `-1` if not found.
+   */
+  _indexBy(names, values) {
+    values = values.map(String);
+    for (var i = 0, len = this._table.rows.length; i < len; i++) {
+      var row = this._table.rows[i];
+      var found = names.every(function(name, j) {
+        return String(row[name]) === values[j];
+      });
+      if (found) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Exports some entity values into a storable row.
+   *
+   * @param  Object values The entity values.
+   * @return Object        The row.
+   */
+  _row(values) {
+    var row = {};
+    for (var name in values) {
+      var value = values[name];
+      if (this.has(name)) {
+        row[name] = this.format('array', name, value);
+      } else if (value && typeof value.to === 'function') {
+        row[name] = value.to('array');
+      } else {
+        row[name] = value;
+      }
+    }
+    return row;
+  }
+}
+
+/**
+ * Class dependencies.
+ *
+ * @var Object
+ */
+MemorySchema._classes = extend({}, Schema._classes, {
+  query: Query
+});
+
+module.exports = MemorySchema;
@@ -9,6 +9,12 @@ var Document = require('./document');
 var Conventions = require('./conventions');
 var Collection = require('./collection/collection');
 var Through = require('./collection/through');
+var Profiler = require('./profiler');
+
+/**
+ * The relations already lazy loaded for whole collections.
+ */
+var batches = new WeakMap();
 
 class Model extends Document {
 
@@ -56,6 +62,111 @@ class Model extends Document {
   static _rules(validator) {
   }
 
+  /**
+   * Registers a lifecycle hook.
+   *
+   * Hooks are called with the entity and the options of the operation, they can return a promise.
+   * When a `before*` hook returns (or resolves) `false`, the operation is aborted.
+   *
+   * ```js
+   * Gallery.hook('beforeSave', function(entity, options) {
+   *   entity.set('slug', slugify(entity.get('name')));
+   * });
+   * ```
+   *
+   * @param  String   name    The hook name (e.g. `'beforeSave'`, `'afterCreate'`, etc.).
+   * @param  Function closure The hook.
+   * @return Function         Returns `this`.
+   */
+  static hook(name, closure) {
+    if (Model.HOOKS.indexOf(name) === -1) {
+      throw new Error("Invalid hook name `'" + name + "'`.");
+    }
+    var hooks = this._hooked();
+    hooks[name] = hooks[name] || [];
+    hooks[name].push(closure);
+    return this;
+  }
+
+  /**
+   * Unregisters a lifecycle hook.
+   *
+   * @param  String   name    The hook name.
+   * @param  Function closure The hook to remove or none to remove all hooks of `name`.
+   * @return Function         Returns `this`.
+   */
+  static unhook(name, closure) {
+    var hooks = this._hooked();
+    if (!hooks[name]) {
+      return this;
+    }
+    if (arguments.length === 1) {
+      delete hooks[name];
+      return this;
+    }
+    hooks[name] = hooks[name].filter(function(hook) {
+      return hook !== closure;
+    });
+    return this;
+  }
+
+  /**
+   * Returns the hooks of a specific name, parent classes hooks come first.
+   *
+   * @param  String name The hook name.
+   * @return Array       The hooks.
+   */
+  static hooks(name) {
+    var result = [];
+    var model = this;
+    while (model !== Document) {
+      var hooks = model._hooked();
+      if (hooks[name]) {
+        result = hooks[name].concat(result);
+      }
+      model = Object.getPrototypeOf(model);
+    }
+    return result;
+  }
+
+  /**
+   * Runs the hooks of a specific name in sequence.
+   *
+   * @param  String  name    The hook name.
+   * @param  Object  entity  The entity.
+   * @param  Object  options The operation options.
+   * @return Promise         Resolves `false` if a hook returned `false`, `true` otherwise.
+   */
+  static callHooks(name, entity, options) {
+    return co(function*() {
+      for (var hook of this.hooks(name)) {
+        if ((yield Promise.resolve(hook.call(this, entity, options))) === false) {
+          return false;
+        }
+      }
+      return true;
+    }.bind(this));
+  }
+
+  /**
+   * Returns the hooks registered by the model itself.
+   *
+   * @return Object
+   */
+  static _hooked() {
+    if (!Model._hookRegistry[this.name]) {
+      Model._hookRegistry[this.name] = {};
+      this._hooks();
+    }
+    return Model._hookRegistry[this.name];
+  }
+
+  /**
+   * This function is called once for registering the model's hooks.
+   */
+  static _hooks() {
+  }
+
   /**
    * Gets/sets the default query parameters used on finds.
    *
@@ -69,6 +180,72 @@ class Model extends Document {
     return this._query[this.name] ? this._query[this.name] : {};
   }
 
+  /**
+   * Returns the named scopes of the model.
+   *
+   * @return Object The scopes where keys are names and values are query options or functions
+   *                returning query options.
+   */
+  static scopes() {
+    return this._scopes() || {};
+  }
+
+  /**
+   * This function is called to get the model's named scopes.
+   *
+   * Example:
+   * ```js
+   * static _scopes() {
+   *   return {
+   *     published: { conditions: { published: true } },
+   *     recent: function(days) {
+   *       return { conditions: { created: { '>': new Date(Date.now() - days * 86400000) } } };
+   *     }
+   *   };
+   * }
+   * ```
+   *
+   * @return Object The scopes definition.
+   */
+  static _scopes() {
+    return {};
+  }
+
+  /**
+   * Resolves some named scopes into query options.
+   *
+   * Scopes can be a name (i.e. `'published'`), an array of a name followed by its arguments
+   * (i.e. `['recent', 7]`) or an object of names and arguments (i.e. `{ published: true, recent: 7 }`).
+   *
+   * @param  mixed ... The scopes to resolve.
+   * @return Array     The query options of each scope.
+   */
+  static scope() {
+    var scopes = this.scopes();
+    var result = [];
+
+    var resolve = function(name, args) {
+      var scope = scopes[name];
+      if (!scope) {
+        throw new Error("Undefined scope `'" + name + "'` for `" + this.name + "`.");
+      }
+      result.push(typeof scope === 'function' ? scope.apply(this, args) : scope);
+    }.bind(this);
+
+    for (var scope of arguments) {
+      if (typeof scope === 'string') {
+        resolve(scope, []);
+      } else if (Array.isArray(scope)) {
+        resolve(scope[0], scope.slice(1));
+      } else {
+        for (var name in scope) {
+          resolve(name, scope[name] === true ? [] : [].concat(scope[name]));
+        }
+      }
+    }
+    return result;
+  }
+
   /**
    * Get/set the unicity value.
    *
@@ -103,6 +280,17 @@ class Model extends Document {
     return Model._shards.get(this);
   }
 
+  /**
+   * Returns the identity map key of a primary key value. Compound keys are serialized so
+   * that equal tuples share the same identity.
+   *
+   * @param  mixed id A primary key value or a tuple of values for compound keys.
+   * @return mixed    The identity map key.
+   */
+  static identity(id) {
+    return Array.isArray(id) ? JSON.stringify(id) : id;
+  }
+
   /**
    * Instantiates a new record or document object, initialized with any data passed in. For example:
    *
@@ -124,6 +312,9 @@ class Model extends Document {
    * var success = post.save();
    * ```
    *
+   * Since datasources hydrate loaded data this way, the `afterFetch` hooks are called on entities
+   * created with `exists` set to `true`.
+   *
    * @param  Object data    Any data that this object should be populated with initially.
    * @param  Object options Options to be passed to item.
    *                        - `'type'`  _String_   : can be `'entity'` or `'set'`. `'set'` is used if the passed data represent a collection
@@ -144,20 +335,52 @@ class Model extends Document {
 
     var type = options.type;
     var classname = options.class;
+    var instance;
+
+    if (type === 'entity') {
+      var inheritance = classname.definition().inheritance();
+      if (inheritance) {
+        data = extend({}, data);
+        var model = inheritance.map[data[inheritance.field]];
+        if (model && (model === classname || model.prototype instanceof classname)) {
+          classname = options.class = model;
+        } else if (data[inheritance.field] == null && !options.exists) {
+          var discriminator = classname.discriminator();
+          if (discriminator !== undefined) {
+            data[inheritance.field] = discriminator;
+          }
+        }
+      }
+    }
 
     if (type === 'entity' && options.exists !== false && classname.unicity()) {
       data = data || {};
       var schema = classname.definition();
       var shard = classname.shard();
-      var key = classname.definition().key();
-      var id = schema.cast(key, data[key]);
+      var key = schema.key();
+      var id;
+      if (Array.isArray(key)) {
+        id = key.map(function(name) {
+          return schema.cast(name, data[name]);
+        });
+        id = id.some(function(value) { return value == null; }) ? null : classname.identity(id);
+      } else {
+        id = schema.cast(key, data[key]);
+      }
       if (id != null && shard.has(id)) {
-        var instance = shard.get(id);
+        instance = shard.get(id);
         instance.amend(data, { exists: options.exists });
-        return instance;
       }
     }
-    return super.create(data, options);
+    instance = instance || super.create(data, options);
+
+    if (type === 'entity' && options.exists === true) {
+      var fetched = instance.constructor;
+      for (var hook of fetched.hooks('afterFetch')) {
+        hook.call(fetched, instance, options);
+      }
+    }
+    return instance;
   }
 
   /**
@@ -165,13 +388,103 @@ class Model extends Document {
    *
    * @param  Object  options Options for the query.
    *                         -`'conditions'` : The conditions array.
+   *                         -`'trashed'`    : With soft delete, `'with'` includes trashed rows and `'only'`
+   *                                           returns only them (excluded by default).
    *                         - other options depend on the ones supported by the query instance.
    *
    * @return Object          An instance of `Query`.
    */
   static find(options) {
     options = extend({}, this.query(), options);
-    return this.definition().query({ query: options });
+    var trashed = options.trashed;
+    delete options.trashed;
+    var query = this.definition().query({ query: options });
+    var conditions = this._inheritanceConditions();
+    if (conditions) {
+      query.conditions(conditions);
+    }
+    conditions = this._trashedConditions(trashed);
+    if (conditions) {
+      query.conditions(conditions);
+    }
+    return query;
+  }
+
+  /**
+   * Finds records including soft deleted ones.
+   *
+   * @param  Object options Options for the query.
+   * @return Object         An instance of `Query`.
+   */
+  static withTrashed(options) {
+    return this.find(extend({}, options, { trashed: 'with' }));
+  }
+
+  /**
+   * Finds soft deleted records only.
+   *
+   * @param  Object options Options for the query.
+   * @return Object         An instance of `Query`.
+   */
+  static onlyTrashed(options) {
+    return this.find(extend({}, options, { trashed: 'only' }));
+  }
+
+  /**
+   * Returns the conditions filtering soft deleted rows.
+   *
+   * @param  String trashed The trashed rows mode (i.e. `'with'`, `'only'` or none to exclude them).
+   * @return Object         The conditions or `undefined` when no filtering is required.
+   */
+  static _trashedConditions(trashed) {
+    var softDelete = this.definition().softDelete();
+    if (!softDelete || trashed === 'with') {
+      return;
+    }
+    if (trashed === 'only') {
+      return { ':not()': { [softDelete.field]: null } };
+    }
+    if (trashed) {
+      throw new Error("Invalid `'" + trashed + "'` value for the `'trashed'` option.");
+    }
+    return { [softDelete.field]: null };
+  }
+
+  /**
+   * Returns the discriminator value of the model when Single Table Inheritance is used.
+   *
+   * @return String The discriminator value or `undefined` if none.
+   */
+  static discriminator() {
+    var inheritance = this.definition().inheritance();
+    if (!inheritance) {
+      return;
+    }
+    for (var value in inheritance.map) {
+      if (inheritance.map[value] === this) {
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Returns the conditions which scope finds to the model and its subclasses.
+   *
+   * @return Object The conditions or `undefined` if finds don't need to be scoped.
+   */
+  static _inheritanceConditions() {
+    var inheritance = this.definition().inheritance();
+    if (!inheritance || inheritance.root === this) {
+      return;
+    }
+    var values = [];
+    for (var value in inheritance.map) {
+      var model = inheritance.map[value];
+      if (model === this || model.prototype instanceof this) {
+        values.push(value);
+      }
+    }
+    return { [inheritance.field]: values.length === 1 ? values[0] : values };
   }
 
   /**
@@ -199,13 +512,20 @@ class Model extends Document {
   /**
    * Finds a record by its ID.
    *
-   * @param  mixed id            The id to retreive.
+   * @param  mixed id            The id to retreive (i.e. a tuple of values for compound keys).
    * @param  Object fetchOptions The fecthing options.
    * @return mixed               The result.
    */
   static load(id, options, fetchOptions) {
     options = extend({}, { conditions: {} }, options);
-    options.conditions[this.definition().key()] = id;
+    var key = this.definition().key();
+    if (Array.isArray(key)) {
+      key.forEach(function(name, i) {
+        options.conditions[name] = id[i];
+      });
+    } else {
+      options.conditions[key] = id;
+    }
     return this.first(options, fetchOptions);
   }
 
@@ -218,6 +538,7 @@ class Model extends Document {
     this.connection(undefined);
     this.definition(undefined);
     this.validator(undefined);
+    delete Model._hookRegistry[this.name];
     this.query({});
     if (this === Model) {
       this._unicity = false;
@@ -263,14 +584,21 @@ class Model extends Document {
   /**
    * Returns the primary key value.
    *
-   * @return mixed     The primary key value.
+   * @return mixed     The primary key value or a tuple of values for compound keys (`null` when
+   *                   some of them are missing).
    */
   id() {
     this._key = this._key || this.schema().key();
     if (!this._key) {
       throw new Error("No primary key has been defined for `" + this.constructor.name + "`'s schema.");
     }
-    return this.get(this._key);
+    if (!Array.isArray(this._key)) {
+      return this.get(this._key);
+    }
+    var id = this._key.map(function(name) {
+      return this.get(name);
+    }.bind(this));
+    return id.some(function(value) { return value == null; }) ? null : id;
   }
 
   /**
@@ -290,25 +618,82 @@ class Model extends Document {
     return this._exists;
   }
 
+  /**
+   * Gets the collection the entity has been loaded with (i.e. the last collection it has been added to).
+   *
+   * @return Object The collection or `undefined` if none.
+   */
+  loadedWith() {
+    var collection;
+    for (var parent of this._parents.keys()) {
+      if (parent instanceof Collection) {
+        collection = parent;
+      }
+    }
+    return collection;
+  }
+
   /**
    * Returns the current data and perform lazy loading when necessary
    *
+   * When the entity has been loaded with a collection, the relation is eager loaded for all
+   * entities of the collection on the first lazy loading, so other entities can use the loaded data.
+   *
    * @param  String name If name is defined, it'll only return the field value.
    * @return mixed.
    */
   fetch(name) {
     return co(function*() {
       var result = this.get(name, (instance, name) => {
-        return this.schema().embed([instance], name);
+        var profiler = Profiler.active();
+        if (profiler) {
+          profiler.fetch(this, name, this.loadedWith());
+        }
+        return this.schema().embed(this._siblings(name), name);
       });
       if (result instanceof Promise) {
         yield result;
+        var relation = this.schema().relation(name);
+        if (relation.type() === 'hasOneThrough') {
+          return this.has([relation.through(), relation.using()]) ? this.get(name) : null;
+        }
         return this._data[name] || null;
       }
       return result;
     }.bind(this));
   }
 
+  /**
+   * Returns the entities of the collection the entity has been loaded with, which still need
+   * a relation to be lazy loaded.
+   *
+   * @param  String name The relation name.
+   * @return Array
+   */
+  _siblings(name) {
+    var collection = this.loadedWith();
+    var loaded = collection ? batches.get(collection) : undefined;
+    if (!collection || (loaded && loaded.has(name))) {
+      return [this];
+    }
+    if (!loaded) {
+      loaded = new Set();
+      batches.set(collection, loaded);
+    }
+    loaded.add(name);
+
+    var siblings = [this];
+    collection.forEach(function(entity) {
+      if (entity === this || !(entity instanceof Model) || entity.schema() !== this.schema()) {
+        return;
+      }
+      if (entity._exists === true && entity._data[name] === undefined) {
+        siblings.push(entity);
+      }
+    }.bind(this));
+    return siblings;
+  }
+
   /**
    * Automatically called after an entity is saved. Updates the object's internal state
    * to reflect the corresponding database record.
@@ -330,9 +715,10 @@ class Model extends Document {
       return this;
     }
 
-    var id = this.id();
+    var id = this.constructor.identity(this.id());
     var shard = this.constructor.shard();
-    if (previousId != null && previousId !== id) {
+    previousId = this.constructor.identity(previousId);
+    if (previousId != null && previousId !== id && shard.get(previousId) === this) {
       shard.delete(previousId);
     }
     if (id == null) {
@@ -345,7 +731,7 @@ class Model extends Document {
         var source = this.constructor.definition().source();
         throw new Error("Trying to create a duplicate of `" + source + "` ID `" + String(id) + "` which is not allowed when unicity is enabled.");
       }
-    } else {
+    } else if (shard.get(id) === this) {
       shard.delete(id);
     }
     return this;
@@ -389,6 +775,8 @@ class Model extends Document {
    * @param  Object  options Options:
    *                          - `'validate'`  _Boolean_ : If `false`, validation will be skipped, and the record will
    *                                                      be immediately saved. Defaults to `true`.
+   *                          - `'upsert'`    _mixed_   : The conflict target to upsert the entity when it's not known to
+   *                                                      exist, `true` for the primary key or some field names.
    * @return Promise
    */
   save(options) {
@@ -399,7 +787,9 @@ class Model extends Document {
       };
       options = extend({}, defaults, options);
 
-      this.sync();
+      if (!options.upsert) {
+        this.sync();
+      }
       this._errors = {};
 
       if (!(yield this.schema().save(this, options))) {
@@ -413,6 +803,8 @@ class Model extends Document {
   /**
    * Sync the entity existence from the database.
    *
+   * Trashed rows are included, a soft deleted row still exists.
+   *
    * @param  boolean data Indicate whether the data need to by synced or not.
    * @return Promise
    */
@@ -423,7 +815,7 @@ class Model extends Document {
       }
       var id = this.id();
       if (id != null) {
-        var persisted = yield this.constructor.load(id);
+        var persisted = yield this.constructor.load(id, { trashed: 'with' });
         if (persisted && data) {
           this.amend(persisted.data(), { exists: true });
         } else {
@@ -438,11 +830,43 @@ class Model extends Document {
   /**
    * Deletes the data associated with the current `Model`.
    *
+   * @param  Object  options Options:
+   *                         - `'force'`   _Boolean_ : Removes the entity even if soft delete is enabled.
+   *                         - `'cascade'` _Boolean_ : Set it to `false` to ignore the `'onDelete'` behavior of relations.
    * @return Promise Success.
    */
-  delete() {
+  delete(options) {
     var schema = this.schema();
-    return schema.delete(this);
+    return schema.delete(this, options);
+  }
+
+  /**
+   * Removes the entity even if soft delete is enabled.
+   *
+   * @return Promise Success.
+   */
+  forceDelete() {
+    return this.delete({ force: true });
+  }
+
+  /**
+   * Restores a soft deleted entity.
+   *
+   * @return Promise Success.
+   */
+  restore() {
+    var schema = this.schema();
+    return schema.restore(this);
+  }
+
+  /**
+   * Checks whether the entity has been soft deleted or not.
+   *
+   * @return Boolean
+   */
+  trashed() {
+    var softDelete = this.schema().softDelete();
+    return !!softDelete && this.get(softDelete.field) != null;
   }
 
   /**
@@ -460,12 +884,19 @@ class Model extends Document {
    *                           multiple events.
    *                         - `'required'` _boolean_ : Sets the validation rules `'required'` default value.
    *                         - `'embed'`    _array_   : List of relations to validate.
+   *                         - `'upsert'`   _mixed_   : When set, an entity which is not known to exist is validated
+   *                           as a new one without syncing its existence.
    * @return Promise         Returns a promise.
    */
   validates(options) {
     return co(function* () {
-      yield this.sync();
-      var exists = this.exists();
+      var exists;
+      if (options && options.upsert && this._exists !== true) {
+        exists = false;
+      } else {
+        yield this.sync();
+        exists = this.exists();
+      }
       var defaults = {
         events: exists ? 'update' : 'create',
         required: exists ? false : true,
@@ -473,6 +904,10 @@ class Model extends Document {
         embed: false
       };
       options = extend({}, defaults, options);
+
+      if (!(yield this.constructor.callHooks('beforeValidate', this, options))) {
+        return false;
+      }
       var validator = this.constructor.validator();
 
       var success = yield validator.validates(this.get(), options);
@@ -480,7 +915,8 @@ class Model extends Document {
 
       this._errors = {};
       this.invalidate(validator.errors());
-      return success && valid;
+      yield this.constructor.callHooks('afterValidate', this, options);
+      return success && valid && !this.errored();
     }.bind(this));
   }
 
@@ -634,6 +1070,27 @@ Model._classes = {
  */
 Model._validators = {};
 
+/**
+ * Stores registered hooks.
+ *
+ * @var Object
+ */
+Model._hookRegistry = {};
+
+/**
+ * Available hooks.
+ *
+ * @var Array
+ */
+Model.HOOKS = [
+  'beforeSave', 'afterSave',
+  'beforeCreate', 'afterCreate',
+  'beforeUpdate', 'afterUpdate',
+  'beforeDelete', 'afterDelete',
+  'beforeValidate', 'afterValidate',
+  'afterFetch'
+];
+
 /**
  * Enable entities unicity
  *
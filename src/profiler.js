@@ -0,0 +1,304 @@
+var AsyncLocalStorage = require('async_hooks').AsyncLocalStorage;
+var extend = require('extend-merge').extend;
+
+/**
+ * Returns the first stack frame which is not part of the library.
+ *
+ * @return String The call site or `null` if none.
+ */
+function callSite() {
+  var limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  var lines = String(new Error().stack).split('\n').slice(1);
+  Error.stackTraceLimit = limit;
+  for (var line of lines) {
+    if (!/node_modules|node:|\(<anonymous>\)/.test(line) && line.indexOf(__dirname) === -1) {
+      return line.trim().replace(/^at /, '');
+    }
+  }
+  return null;
+}
+
+/**
+ * The `Profiler` class records the queries issued to load relations and detects N+1 queries
+ * (i.e. a relation lazy loaded repeatedly for entities of a same collection).
+ *
+ * The running profiler is scoped to the asynchronous context it has been started in, so concurrent
+ * requests can each be profiled with their own profiler.
+ *
+ * Example:
+ * ```js
+ * var profiler = new Profiler({ mode: 'throw' }).start();
+ * // ...
+ * profiler.stop().assertNoNPlusOne();
+ * ```
+ */
+class Profiler {
+  /**
+   * Gets the profiler running in the current asynchronous context.
+   *
+   * @return Object The running profiler or `undefined` if none.
+   */
+  static active() {
+    return Profiler._storage.getStore();
+  }
+
+  /**
+   * Constructor.
+   *
+   * @param Object config Possible options are:
+   *                      - `'mode'`      _String_   : What to do when a N+1 is detected, possible values are
+   *                                                   `'record'`, `'warn'` (the default) or `'throw'`.
+   *                      - `'threshold'` _Integer_  : The number of times a relation can be lazy loaded for
+   *                                                   entities of a same collection before a detection (defaults to `2`).
+   *                      - `'logger'`    _Function_ : The warning handler (defaults to `console.warn`).
+   */
+  constructor(config) {
+    var defaults = {
+      mode: 'warn',
+      threshold: 2,
+      logger: undefined
+    };
+    config = extend({}, defaults, config);
+
+    if (['record', 'warn', 'throw'].indexOf(config.mode) === -1) {
+      throw new Error("Invalid `'" + config.mode + "'` value for the `'mode'` option.");
+    }
+
+    /**
+     * The detection mode.
+     *
+     * @var String
+     */
+    this._mode = config.mode;
+
+    /**
+     * The number of lazy loadings which triggers a detection.
+     *
+     * @var Integer
+     */
+    this._threshold = config.threshold;
+
+    /**
+     * The warning handler.
+     *
+     * @var Function
+     */
+    this._logger = config.logger || function(message) {
+      console.warn(message);
+    };
+
+    this.reset();
+  }
+
+  /**
+   * Starts recording for the current asynchronous context (i.e. the current execution and all the
+   * asynchronous operations it initiates).
+   *
+   * @return self
+   */
+  start() {
+    Profiler._storage.enterWith(this);
+    return this;
+  }
+
+  /**
+   * Stops recording for the current asynchronous context.
+   *
+   * @return self
+   */
+  stop() {
+    if (Profiler.active() === this) {
+      Profiler._storage.enterWith(undefined);
+    }
+    return this;
+  }
+
+  /**
+   * Runs a function with the profiler recording only the operations it initiates.
+   *
+   * @param  Function closure The function to run.
+   * @return mixed            The value returned by `closure`.
+   */
+  run(closure) {
+    return Profiler._storage.run(this, closure);
+  }
+
+  /**
+   * Clears all recorded data.
+   *
+   * @return self
+   */
+  reset() {
+    /**
+     * The recorded entries.
+     *
+     * @var Array
+     */
+    this._entries = [];
+
+    /**
+     * The N+1 detections.
+     *
+     * @var Array
+     */
+    this._detections = [];
+
+    /**
+     * The number of lazy loadings per collection and relation.
+     *
+     * @var WeakMap
+     */
+    this._loads = new WeakMap();
+
+    /**
+     * The nesting level of running embeddings.
+     *
+     * @var Integer
+     */
+    this._depth = 0;
+    return this;
+  }
+
+  /**
+   * Records a query issued by `Relationship._find()`.
+   *
+   * @param  Object relation The relation.
+   * @param  Array  ids      The queried ids.
+   * @return self
+   */
+  find(relation, ids) {
+    this._entries.push({
+      type: 'find',
+      relation: relation.from().name + '.' + relation.name(),
+      ids: ids,
+      site: callSite()
+    });
+    return this;
+  }
+
+  /**
+   * Records a lazy loading performed by `Model.fetch()` and checks for N+1 queries.
+   *
+   * @param  Object entity     The entity.
+   * @param  String name       The relation name.
+   * @param  Object collection The collection the entity has been loaded with (if any).
+   * @return self
+   */
+  fetch(entity, name, collection) {
+    var relation = entity.constructor.name + '.' + name;
+    var site = callSite();
+    this._entries.push({ type: 'fetch', relation: relation, site: site });
+
+    if (!collection) {
+      return this;
+    }
+    var loads = this._loads.get(collection) || {};
+    this._loads.set(collection, loads);
+    loads[name] = (loads[name] || 0) + 1;
+    if (loads[name] !== this._threshold) {
+      return this;
+    }
+
+    var message = "N+1 queries detected, `" + relation + "` has been lazy loaded " + loads[name] + " times for entities of a same collection" + (site ? " (at " + site + ")." : ".");
+    this._detections.push({ relation: relation, site: site, message: message });
+
+    if (this._mode === 'throw') {
+      throw new Error(message);
+    }
+    if (this._mode === 'warn') {
+      this._logger(message);
+    }
+    return this;
+  }
+
+  /**
+   * Records a `Schema.embed()` call.
+   *
+   * @param  Object   schema    The schema.
+   * @param  Object   relations The embedded relations.
+   * @return Function           The function to call once the embedding is done.
+   */
+  embed(schema, relations) {
+    var reference = schema.reference();
+    var entry = {
+      type: 'embed',
+      model: reference ? reference.name : undefined,
+      relations: relations,
+      queries: 0,
+      depth: this._depth++,
+      site: callSite()
+    };
+    var start = this.entries('find').length;
+    this._entries.push(entry);
+
+    return function() {
+      entry.queries = this.entries('find').length - start;
+      this._depth--;
+    }.bind(this);
+  }
+
+  /**
+   * Returns the recorded entries.
+   *
+   * @param  String type A type of entries (i.e. `'find'`, `'fetch'` or `'embed'`) or none to get all of them.
+   * @return Array
+   */
+  entries(type) {
+    if (!type) {
+      return this._entries.slice();
+    }
+    return this._entries.filter(function(entry) {
+      return entry.type === type;
+    });
+  }
+
+  /**
+   * Returns the number of recorded entries per type.
+   *
+   * @return Object The counters, where `'queries'` is the number of queries issued by `Schema.embed()`
+   *                (nested embeddings included).
+   */
+  counters() {
+    var counters = { find: 0, fetch: 0, embed: 0, queries: 0 };
+    for (var entry of this._entries) {
+      counters[entry.type]++;
+      if (entry.type === 'embed' && !entry.depth) {
+        counters.queries += entry.queries;
+      }
+    }
+    return counters;
+  }
+
+  /**
+   * Returns the N+1 detections.
+   *
+   * @return Array
+   */
+  detections() {
+    return this._detections.slice();
+  }
+
+  /**
+   * Throws an error if some N+1 queries have been detected.
+   *
+   * @return self
+   */
+  assertNoNPlusOne() {
+    if (this._detections.length) {
+      throw new Error(this._detections.map(function(detection) {
+        return detection.message;
+      }).join("\n"));
+    }
+    return this;
+  }
+}
+
+/**
+ * The storage of the running profilers per asynchronous context.
+ *
+ * @var Object
+ */
+Profiler._storage = new AsyncLocalStorage();
+
+module.exports = Profiler;
@@ -3,6 +3,36 @@ var extend = require('extend-merge').extend;
 var merge = require('extend-merge').merge;
 var Conventions = require('./conventions');
 var Model= require('./model');
+var Profiler = require('./profiler');
+
+function normalizeTypes(to) {
+  if (!to || typeof to !== 'object') {
+    return;
+  }
+  if (!Array.isArray(to)) {
+    return extend({}, to);
+  }
+  var types = {};
+  for (var model of to) {
+    types[model.name] = model;
+  }
+  return types;
+}
+
+function extract(entity, name) {
+  if (!Array.isArray(name)) {
+    return entity instanceof Model ? entity.get(name) : entity[name];
+  }
+  var values = name.map(function(field) {
+    return extract(entity, field);
+  });
+  return values.some(function(value) { return value == null; }) ? null : values;
+}
+
+function parentOf(object) {
+  var parents = object.parents();
+  return parents.size ? parents.keys().next().value : null;
+}
 
 /**
  * The `Relationship` class encapsulates the data and functionality necessary to link two model together.
@@ -33,7 +63,14 @@ class Relationship {
    *                                                   other database-native value. If an array, maps fields from the related object
    *                                                   either to fields elsewhere, or to arbitrary expressions. In either case, _the
    *                                                   values specified here will be literally interpreted by the database_.
+   *                      - `'scope'`       _mixed_  : Some named scopes of the target model to apply when fetching
+   *                                                   related data (see `Model.scope()`).
    *                      - `'embedded'`    _boolean_: Indicates if the relation is embedded or not.
+   *                      - `'as'`          _string_ : The name of the polymorphic `belongsTo` relation of the target model
+   *                                                   this relationship is the inverse of (i.e. `'commentable'`).
+   *                      - `'typeKey'`     _string_ : The field name of the type of a polymorphic relation (i.e. `'commentable_type'`).
+   *                      - `'onDelete'`    _string_ : What to do with related entities when entities are deleted, possible values
+   *                                                   are `'cascade'`, `'nullify'` or `'restrict'` (defaults to `undefined`).
    *                      - `'conventions'` _object_ : The naming conventions instance to use.
    */
   constructor(config) {
@@ -45,7 +82,11 @@ class Relationship {
       link: this.constructor.LINK_KEY,
       fields: true,
       conditions: undefined,
+      scope: undefined,
       embedded: false,
+      as: undefined,
+      typeKey: undefined,
+      onDelete: undefined,
       conventions: undefined
     };
 
@@ -69,13 +110,37 @@ class Relationship {
     if (!config.keys) {
       var key = this._conventions.apply('key');
       config.keys = {};
-      config.keys[key] = this._conventions.apply('reference', config.from.name);
+      config.keys[key] = this._conventions.apply('reference', config.as ? config.as : config.from.name);
     }
 
+    /**
+     * The types of a polymorphic relation where keys are type values and values are classes.
+     *
+     * @var Object
+     */
+    this._types = normalizeTypes(config.to);
+
     if (!config.name) {
+      if (this._types) {
+        throw new Error("The relationship `'name'` option can't be empty for polymorphic relations.");
+      }
       config.name = this._conventions.apply('field', config.to.name);
     }
 
+    /**
+     * The name of the polymorphic relation this relationship is the inverse of.
+     *
+     * @var String
+     */
+    this._as = config.as;
+
+    /**
+     * The field name of the type of a polymorphic relation.
+     *
+     * @var String
+     */
+    this._typeKey = config.typeKey || (this._types ? this._conventions.apply('referenceType', config.name) : undefined);
+
     /**
      * The relation/field name.
      *
@@ -125,6 +190,13 @@ class Relationship {
      */
     this._conditions = config.conditions;
 
+    /**
+     * The named scopes to apply.
+     *
+     * @var mixed
+     */
+    this._scope = config.scope;
+
     /**
      * The embedded mode.
      *
@@ -139,6 +211,13 @@ class Relationship {
      */
     this._counterpart = undefined;
 
+    /**
+     * The behavior to apply on related entities when entities are deleted.
+     *
+     * @var String
+     */
+    this.onDelete(config.onDelete);
+
     /**
      * The type of relationship.
      *
@@ -184,6 +263,76 @@ class Relationship {
     return this._to;
   }
 
+  /**
+   * Returns the types of a polymorphic relation.
+   *
+   * @return Object The types where keys are type values and values are classes or `undefined`
+   *                if the relation is not polymorphic.
+   */
+  types() {
+    return this._types ? extend({}, this._types) : undefined;
+  }
+
+  /**
+   * Returns the name of the polymorphic relation this relationship is the inverse of.
+   *
+   * @return String
+   */
+  as() {
+    return this._as;
+  }
+
+  /**
+   * Returns the field name of the type of a polymorphic relation.
+   *
+   * @return String
+   */
+  typeKey() {
+    if (this._as && !this._typeKey) {
+      this._typeKey = this._inverse().typeKey();
+    }
+    return this._typeKey;
+  }
+
+  /**
+   * Returns the type value of a class or an entity for a polymorphic relation.
+   *
+   * @param  mixed  model A class or an entity.
+   * @return String       The type value.
+   */
+  typeOf(model) {
+    if (this._as) {
+      return this._inverse().typeOf(model);
+    }
+    model = typeof model === 'function' ? model : model.constructor;
+    var types = this._types || {};
+    var type;
+    for (type in types) {
+      if (types[type] === model) {
+        return type;
+      }
+    }
+    for (type in types) {
+      if (model.prototype instanceof types[type]) {
+        return type;
+      }
+    }
+    throw new Error("The `" + model.name + "` class is not a valid type for the polymorphic `'" + this.name() + "'` relation.");
+  }
+
+  /**
+   * Returns the polymorphic `belongsTo` relation this relationship is the inverse of.
+   *
+   * @return Object
+   */
+  _inverse() {
+    var schema = this.to().definition();
+    if (!schema.hasRelation(this._as)) {
+      throw new Error("Missing polymorphic relation `'" + this._as + "'` in the `" + this.to().name + "` model.");
+    }
+    return schema.relation(this._as);
+  }
+
   /**
    * Returns the counterpart relation.
    *
@@ -219,6 +368,9 @@ class Relationship {
    * Returns the "primary key/foreign key" matching definition. The key corresponds
    * to field name in the source model and the value is the one in the target model.
    *
+   * Multi-column mappings (i.e. `{ image_id: 'image_id', tag_id: 'tag_id' }`) are supported,
+   * in which case specific ones are returned as arrays of field names.
+   *
    * @param  mixed type An optionnal type to get.
    * @return mixed      Returns "primary key/foreign key" matching definition array or
    *                    a specific one if `type` is provided.
@@ -227,14 +379,30 @@ class Relationship {
     if (!arguments.length) {
       return this._keys;
     }
+    var names = Object.keys(this._keys);
     if (type === 'from') {
-      return Object.keys(this._keys)[0];
+      return names.length > 1 ? names : names[0];
     } else if (type === 'to') {
-      return this._keys[Object.keys(this._keys)[0]];
+      names = names.map(function(name) {
+        return this._keys[name];
+      }.bind(this));
+      return names.length > 1 ? names : names[0];
     }
     throw new Error("Invalid type `'" + type + "'` only `'from'` and `'to'` are available");
   }
 
+  /**
+   * Returns the key value of an entity for a side of the relationship.
+   *
+   * @param  Object entity An entity or a plain object.
+   * @param  String type   The side of the relationship (i.e. `'from'` or `'to'`).
+   * @return mixed         The key value or a tuple of values for multi-column keys (`null`
+   *                       when some of them are missing).
+   */
+  keyValue(entity, type) {
+    return extract(entity, this.keys(type));
+  }
+
   /**
    * Returns the link type.
    *
@@ -259,7 +427,19 @@ class Relationship {
    * @return mixed
    */
   conditions() {
-    return this._conditions;
+    if (!this._as) {
+      return this._conditions;
+    }
+    return extend({ [this.typeKey()]: this.typeOf(this.from()) }, this._conditions);
+  }
+
+  /**
+   * Returns the named scopes applied when fetching related data.
+   *
+   * @return mixed
+   */
+  scope() {
+    return this._scope;
   }
 
   /**
@@ -271,6 +451,23 @@ class Relationship {
     return this._embedded;
   }
 
+  /**
+   * Gets/sets the behavior to apply on related entities when entities are deleted (see `Schema.delete()`).
+   *
+   * @param  String value The behavior to set (i.e. `'cascade'`, `'nullify'` or `'restrict'`) or none to get it.
+   * @return mixed        Returns `this` on set and the behavior on get.
+   */
+  onDelete(value) {
+    if (!arguments.length) {
+      return this._onDelete;
+    }
+    if (value != null && Relationship.ON_DELETE.indexOf(value) === -1) {
+      throw new Error("Invalid `'" + value + "'` value for the `'onDelete'` option.");
+    }
+    this._onDelete = value != null ? value : undefined;
+    return this;
+  }
+
   /**
    * Returns the relationship type.
    *
@@ -288,88 +485,88 @@ class Relationship {
    * @return Object        Returns a conditions array.
    */
   match(entity) {
-    var from = this.keys('from');
-    var to = this.keys('to');
+    var from = [].concat(this.keys('from'));
+    var to = [].concat(this.keys('to'));
 
     var conditions = {};
-    if (!entity.has(from)) {
-      throw new Error("The `'" + from + "'` key is missing from entity data.");
+    from.forEach(function(name, i) {
+      if (!entity.has(name)) {
+        throw new Error("The `'" + name + "'` key is missing from entity data.");
+      }
+      conditions[to[i]] = entity.get(name);
+    });
+    if (this._as) {
+      conditions[this.typeKey()] = this.typeOf(this.from());
     }
-    conditions[to] = entity.get(from);
     return conditions;
   }
 
-  // /**
-  //  * Gets the related data.
-  //  *
-  //  * @param  Object entity An entity.
-  //  * @return               The related data.
-  //  */
-  // get(entity, options) {
-  //   return co(function*() {
-  //     var name = this.name();
-  //     yield entity.sync();
-
-  //     if (!entity.exists()) {
-  //       return entity.schema().cast(name, {}, { parent: entity });
-  //     }
-
-  //     var link = this.link();
-  //     var strategies = this.strategies();
-
-  //     if (!strategies[link] || typeof strategies[link] !== 'function') {
-  //         throw new Error("Attempted to get object for invalid relationship link type `'" + link + "'`.");
-  //     }
-  //     return yield strategies[link](entity, this, options);
-  //   }.bind(this));
-  // }
-
-  // /**
-  //  * Strategies used to query related objects.
-  //  */
-  // strategies() {
-  //   var strategies = {};
-
-  //   strategies[this.constructor.LINK_EMBEDDED] = function(entity, relationship, options) {
-  //     return Promise.resolve(entity.get(relationship.name()));
-  //   };
-
-  //   strategies[this.constructor.LINK_CONTAINED] = function(entity, relationship, options) {
-  //     return Promise.resolve(relationship.isMany() ? entity.parent().parent() : entity.parent());
-  //   };
-
-  //   strategies[this.constructor.LINK_KEY] = function(entity, relationship, options) {
-  //     return new Promise(function(resolve, reject) {
-  //       var collection;
-  //       if (relationship.type() === 'hasManyThrough') {
-  //         collection = [entity];
-  //         this.embed(collection, options).then(function() {
-  //           resolve(entity.get(relationship.name()));
-  //         }, function() {
-  //           throw new Error("Unable to get the related relationship data.")
-  //         });
-  //         return;
-  //       }
-  //       this._find(entity.get(relationship.keys('from')), options).then(function(collection) {
-  //         if (relationship.isMany()) {
-  //           resolve(collection);
-  //         }
-  //         resolve(collection.length ? collection.get(0) : undefined);
-  //       }, function() {
-  //         throw new Error("Unable to get the related relationship data.")
-  //       });
-  //     }.bind(this), function(error) {
-  //       reject(error);
-  //     });
-
-  //   }.bind(this);
-
-  //   strategies[this.constructor.LINK_KEY_LIST] = function(object, relationship, options) {
-  //     return this._find(entity.get(relationship.keys('from')), options);
-  //   }.bind(this);
-
-  //   return strategies;
-  // }
+  /**
+   * Gets the related data.
+   *
+   * @param  Object  entity  An entity.
+   * @param  Object  options The fetching options.
+   * @return Promise         The related data.
+   */
+  get(entity, options) {
+    return co(function*() {
+      var link = this.link();
+      var strategies = this.strategies();
+
+      if (!strategies[link] || typeof strategies[link] !== 'function') {
+        throw new Error("Attempted to get object for invalid relationship link type `'" + link + "'`.");
+      }
+      return yield strategies[link](entity, this, options);
+    }.bind(this));
+  }
+
+  /**
+   * Strategies used to query related objects.
+   *
+   * @return Object The strategies indexed by link type.
+   */
+  strategies() {
+    var strategies = {};
+
+    strategies[Relationship.LINK_EMBEDDED] = function(entity, relationship, options) {
+      return Promise.resolve(entity.get(relationship.name()));
+    };
+
+    strategies[Relationship.LINK_CONTAINED] = function(entity, relationship, options) {
+      return Promise.resolve(relationship.owner(entity));
+    };
+
+    strategies[Relationship.LINK_KEY] = function(entity, relationship, options) {
+      return entity.fetch(relationship.name());
+    };
+
+    strategies[Relationship.LINK_KEY_LIST] = strategies[Relationship.LINK_KEY];
+
+    return strategies;
+  }
+
+  /**
+   * Returns the entity which contains an embedded document (i.e. for `LINK_CONTAINED` relations).
+   *
+   * Parents are walked up (collections included) until an instance of the target model is found.
+   *
+   * @param  Object entity The embedded document.
+   * @return Object        The containing entity or `null` if none.
+   */
+  owner(entity) {
+    var to = this.to();
+    var visited = new Set();
+    var current = parentOf(entity);
+
+    while (current && !visited.has(current)) {
+      visited.add(current);
+      if (current instanceof to) {
+        return current;
+      }
+      current = parentOf(current);
+    }
+    return null;
+  }
 
   /**
    * Get a related object (or objects) for the given object connected to it by this relationship.
@@ -381,11 +578,147 @@ class Relationship {
     return /Many/.test(this.constructor.name);
   }
 
+  /**
+   * Returns the definitions of some aggregates of the related data and declares their virtual fields
+   * on the `from()` schema (named `'<name>_count'` and `'<name>_<aggregate>_<field>'`, e.g. `'images_count'`
+   * or `'images_sum_size'`).
+   *
+   * @param  Object query The aggregates definition, i.e. `'count'` (`true` or `false`), `'sum'`, `'min'` & `'max'`
+   *                      (a field name or an array of field names).
+   * @param  String name  The relation name to use as prefix (defaults to `name()`).
+   * @return Array        The aggregates, i.e. objects with a `'name'`, a `'type'` and a `'field'` (except for counts).
+   */
+  aggregates(query, name) {
+    query = query || {};
+
+    if (this.link() !== Relationship.LINK_KEY) {
+      throw new Error("Aggregates are only supported by `'" + Relationship.LINK_KEY + "'` linked relations.");
+    }
+
+    name = name || this.name();
+    var to = this.to();
+    var schema = to.definition();
+    var from = this.from().definition();
+    var aggregates = [];
+
+    for (var type of Relationship.AGGREGATES) {
+      var value = query[type];
+      if (!value) {
+        continue;
+      }
+      if (type === 'count') {
+        aggregates.push({ name: name + '_count', type: type, column: { type: 'integer' } });
+        continue;
+      }
+      for (var field of [].concat(value)) {
+        if (!schema.has(field)) {
+          throw new Error("Unexisting field `'" + field + "'` for `" + to.name + "`, can't compute its " + type + ".");
+        }
+        var column = schema.column(field);
+        if (type === 'sum' && ['integer', 'float', 'decimal'].indexOf(column.type) === -1) {
+          column = { type: 'float' };
+        }
+        aggregates.push({ name: name + '_' + type + '_' + field, type: type, field: field, column: { type: column.type } });
+      }
+    }
+
+    for (var aggregate of aggregates) {
+      if (!from.has(aggregate.name)) {
+        from.column(aggregate.name, extend({ virtual: true }, aggregate.column));
+      }
+    }
+    return aggregates.map(function(aggregate) {
+      var result = { name: aggregate.name, type: aggregate.type };
+      if (aggregate.field) {
+        result.field = aggregate.field;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Computes some aggregates of the related data for a collection of entities.
+   *
+   * The aggregates are computed by the datasource in a single grouped query (see the `aggregate()` method
+   * of queries) and are amended to the entities (see `aggregates()` for the fields names). When no related
+   * data exists, counts and sums are set to `0`, minimums and maximums to `null`.
+   *
+   * @param  mixed  collection The collection to compute aggregates for.
+   * @param  Object query      The aggregates definition (see `aggregates()`), other values are used as query options.
+   * @param  Object options    The embedging options:
+   *                           - `'name'` _String_ : The relation name to use as prefix (defaults to `name()`).
+   * @return Promise
+   */
+  aggregate(collection, query, options) {
+    return co(function*() {
+      options = options || {};
+      query = extend({}, query);
+
+      var aggregates = this.aggregates(query, options.name);
+      for (var type of Relationship.AGGREGATES) {
+        delete query[type];
+      }
+
+      var groups = {};
+      var ids = Object.keys(this._index(collection, this.keys('from')));
+      var criteria = this._query(ids, { query: query });
+
+      if (criteria) {
+        var finder = this.to().find(criteria);
+        if (typeof finder.aggregate !== 'function') {
+          throw new Error("Missing `aggregate()` implementation for `" + this.to().name + "`'s queries.");
+        }
+        var rows = yield finder.aggregate([].concat(this.keys('to')), aggregates);
+        rows.forEach(function(row) {
+          groups[this._hash(extract(row, this.keys('to')))] = row;
+        }.bind(this));
+      }
+
+      collection.forEach(function(entity) {
+        var value = extract(entity, this.keys('from'));
+        var row = value != null && groups[this._hash(value)] || {};
+        var data = {};
+        for (var aggregate of aggregates) {
+          if (row[aggregate.name] !== undefined) {
+            data[aggregate.name] = row[aggregate.name];
+          } else {
+            data[aggregate.name] = aggregate.type === 'count' || aggregate.type === 'sum' ? 0 : null;
+          }
+        }
+        if (entity instanceof Model) {
+          entity.amend(data);
+        } else {
+          extend(entity, data);
+        }
+      }.bind(this));
+    }.bind(this));
+  }
+
+  /**
+   * Loads the related entities of a collection of entities, trashed ones included.
+   *
+   * Used to apply the `'onDelete'` behavior, only key based relations have dependents.
+   *
+   * @param  mixed   collection The collection of entities.
+   * @return Promise            The collection of related entities.
+   */
+  dependents(collection) {
+    if (this.link() !== Relationship.LINK_KEY) {
+      return Promise.resolve(this.to().create([], { type: 'set' }));
+    }
+    var indexes = this._index(collection, this.keys('from'));
+    return this._find(Object.keys(indexes), { query: { trashed: 'with' } });
+  }
+
   /**
    * Gets all entities attached to a collection en entities.
    *
-   * @param  mixed  id An id or an array of ids.
-   * @return Object    A collection of items matching the id/ids.
+   * @param  mixed  id      An id or an array of ids.
+   * @param  Object options  The fetching options:
+   *                         - `'query'`        _Object_   : The query options.
+   *                         - `'fetchOptions'` _Object_   : The fetching options.
+   *                         - `'to'`           _Function_ : The model to query (defaults to `to()`).
+   * @return Object          A collection of items matching the id/ids.
    */
   _find(id, options) {
     var defaults = {
@@ -397,49 +730,102 @@ class Relationship {
     var fetchOptions = options.fetchOptions;
     delete options.fetchOptions;
 
+    var to = options.to || this.to();
+    var query = this._query(id, options);
+    return query ? to.all(query, fetchOptions) : Promise.resolve(to.create([], { type: 'set' }));
+  }
+
+  /**
+   * Builds the query options to retrieve the entities attached to a collection en entities (see `_find()`).
+   *
+   * @param  mixed  id      An id or an array of ids.
+   * @param  Object options  The options:
+   *                         - `'query'` _Object_   : The query options.
+   *                         - `'to'`    _Function_ : The model to query (defaults to `to()`).
+   * @return Object          The query options or `null` when there's no id to query.
+   */
+  _query(id, options) {
+    var defaults = {
+      query: {}
+    };
+    options = extend({}, defaults, options);
+
     if (this.link().substring(0, 3) !== 'key') {
       throw new Error("This relation is not based on a foreign key.");
     }
-    var to = this.to();
+    if (options.query && options.query.limitPerParent !== undefined) {
+      throw new Error("The `'limitPerParent'` option is only supported by `'hasMany'` relations.");
+    }
+    var to = options.to || this.to();
     var schema = to.definition();
 
     if (id == null || (Array.isArray(id) && !id.length)) {
-      return Promise.resolve(to.create([], { type: 'set' }));
+      return null;
     }
 
     var ids = Array.isArray(id) ? id : [id];
-    var key = schema.key();
-    var column = schema.column(key);
+    var toKey = this.keys('to');
+    var profiler = Profiler.active();
 
-    for (var i = 0, len = ids.length; i < len; i++) {
-      ids[i] = schema.convert('cast', column.type, ids[i], column);
+    if (profiler) {
+      profiler.find(this, ids.slice());
     }
+    var conditions;
+
+    if (Array.isArray(toKey)) {
+      conditions = ids.map(function(id) {
+        var condition = {};
+        id = typeof id === 'string' ? JSON.parse(id) : id;
+        toKey.forEach(function(name, i) {
+          var column = schema.column(name);
+          condition[name] = column ? schema.convert('cast', column.type, id[i], column) : id[i];
+        });
+        return condition;
+      });
+      conditions = conditions.length === 1 ? conditions[0] : { ':or()': conditions };
+    } else {
+      var column = schema.column(toKey);
 
-    if (ids.length === 1) {
-      ids = ids[0];
+      for (var i = 0, len = ids.length; i < len; i++) {
+        ids[i] = column ? schema.convert('cast', column.type, ids[i], column) : ids[i];
+      }
+
+      if (ids.length === 1) {
+        ids = ids[0];
+      }
+      conditions = { [toKey]: ids };
     }
-    var query, defaultQuery = { conditions: {} };
+    var defaultQuery = { conditions: {} };
+    var constraints = [conditions];
 
     if (this.conditions()) {
-      defaultQuery.conditions = {
-        ':and()': [
-          {[this.keys('to')]: ids },
-          this.conditions()
-        ]
-      };
+      constraints.push(this.conditions());
+    }
+    if (this.scope() !== undefined) {
+      for (var scoped of to.scope(this.scope())) {
+        scoped = extend({}, scoped);
+        if (scoped.conditions) {
+          constraints.push(scoped.conditions);
+        }
+        delete scoped.conditions;
+        extend(defaultQuery, scoped);
+      }
+    }
+
+    if (constraints.length > 1) {
+      defaultQuery.conditions = { ':and()': constraints };
     } else {
-      defaultQuery.conditions = { [this.keys('to')]: ids };
+      defaultQuery.conditions = conditions;
     }
 
-    query = extend({}, defaultQuery, options.query);
-    return to.all(query, fetchOptions);
+    return extend({}, defaultQuery, options.query);
   }
 
   /**
    * Indexes a collection.
    *
    * @param  mixed  $collection An collection to extract index from.
-   * @param  String $name       The field name to build index for.
+   * @param  mixed  $name       The field name (or names for multi-column keys) to build index for.
    * @return Object             An array of indexes where keys are `$name` values and
    *                            values the corresponding index in the collection.
    */
@@ -447,11 +833,11 @@ class Relationship {
     var indexes = {}, value;
     if (this.link() === Relationship.LINK_KEY) {
       collection.forEach(function(entity, i) {
-        value = entity instanceof Model ? entity.get(name) : entity[name];
+        value = extract(entity, name);
         if (value != null) {
-          indexes[String(value)] = i;
+          indexes[this._hash(value)] = i;
         }
-      });
+      }.bind(this));
     } else if(this.link() === Relationship.LINK_KEY_LIST) {
       collection.forEach(function(entity, i) {
         value = entity instanceof Model ? entity.get(name) : entity[name];
@@ -467,6 +853,21 @@ class Relationship {
     return indexes;
   }
 
+  /**
+   * Returns the index key of a key value.
+   *
+   * @param  mixed  value A key value or a tuple of values for multi-column keys.
+   * @return String       The index key.
+   */
+  _hash(value) {
+    if (!Array.isArray(value)) {
+      return String(value);
+    }
+    return JSON.stringify(value.map(function(v) {
+      return String(v);
+    }));
+  }
+
   /**
    * Unsets the relationship attached to a collection en entities.
    *
@@ -538,4 +939,14 @@ Relationship.LINK_EMBEDDED = 'embedded';
  */
 Relationship.LINK_CONTAINED = 'contained';
 
+/**
+ * The available aggregates for eager loading.
+ */
+Relationship.AGGREGATES = ['count', 'sum', 'min', 'max'];
+
+/**
+ * The available behaviors for related entities when entities are deleted.
+ */
+Relationship.ON_DELETE = ['cascade', 'nullify', 'restrict'];
+
 module.exports = Relationship;
\ No newline at end of file
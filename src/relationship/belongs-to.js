@@ -12,15 +12,50 @@ class BelongsTo extends Relationship {
    * Constructs an object that represents a relationship between two model classes.
    *
    * @see Relationship
+   * @param Object config The relationship's configuration, which defines how the two models in
+   *                      question are bound. The available options are:
+   *                      - `'touch'` _boolean_ : Indicates whether the parent's update timestamp must be
+   *                                              bumped when an entity is saved. Default to `false`.
    */
   constructor(config) {
     var hasKeys = config && config.keys;
+    var defaults = {
+      touch: false
+    };
+
+    config = Object.assign(defaults, config);
+    if (config.onDelete != null) {
+      throw new Error("The `'onDelete'` option is not supported by `'belongsTo'` relations.");
+    }
     super(config);
 
+    /**
+     * Indicates whether the parent's update timestamp must be bumped on save.
+     *
+     * @var Boolean
+     */
+    this._touch = config.touch;
+
     if (!hasKeys) {
       var key = this.conventions().apply('key');
-      this._keys = {[this.conventions().apply('reference', config.to.name)]: key};
+      var reference = this.types() ? this.name() : config.to.name;
+      this._keys = {[this.conventions().apply('reference', reference)]: key};
+    }
+  }
+
+  /**
+   * Gets/sets the touch behavior. When enabled, saving an entity bumps the update timestamp
+   * of its parent.
+   *
+   * @param  Boolean value The touch value to set or none to get it.
+   * @return mixed         Returns `this` on set and the touch value on get.
+   */
+  touch(value) {
+    if (arguments.length) {
+      this._touch = value;
+      return this;
     }
+    return this._touch;
   }
 
   /**
@@ -32,6 +67,9 @@ class BelongsTo extends Relationship {
    */
   embed(collection, options) {
     return co(function*() {
+      if (this.types()) {
+        return yield this._embedPolymorphic(collection, options);
+      }
       var indexes = this._index(collection, this.keys('from'));
 
       var related = yield this._find(Object.keys(indexes), options);
@@ -43,12 +81,12 @@ class BelongsTo extends Relationship {
 
       collection.forEach(function(entity, index) {
         if (entity instanceof Model) {
-          value = String(entity.get(this.keys('from')));
+          value = this._hash(this.keyValue(entity, 'from'));
           if (indexes[value] !== undefined) {
             entity.set(name, Array.isArray(related) ? related[indexes[value]] : related.get(indexes[value]));
           }
         } else {
-          value = String(entity[this.keys('from')]);
+          value = this._hash(this.keyValue(entity, 'from'));
           if (indexes[value] !== undefined) {
             entity[name] = Array.isArray(related) ? related[indexes[value]] : related.get(indexes[value]);
           }
@@ -60,6 +98,65 @@ class BelongsTo extends Relationship {
     }.bind(this));
   }
 
+  /**
+   * Expands a collection of entities by adding their related data using one query per type.
+   *
+   * @param  mixed  collection The collection to expand.
+   * @param  Object options    The embedging options.
+   * @return Array             The related entities.
+   */
+  _embedPolymorphic(collection, options) {
+    return co(function*() {
+      var name = this.name();
+      var to = this.keys('to');
+      var typeKey = this.typeKey();
+      var types = this.types();
+      var groups = {};
+
+      collection.forEach(function(entity) {
+        var type = entity instanceof Model ? entity.get(typeKey) : entity[typeKey];
+        var id = this.keyValue(entity, 'from');
+        if (type == null || id == null) {
+          return;
+        }
+        if (!types[type]) {
+          throw new Error("Unexisting type `'" + type + "'` for the polymorphic `'" + name + "'` relation.");
+        }
+        groups[type] = groups[type] || {};
+        groups[type][this._hash(id)] = true;
+      }.bind(this));
+
+      this._cleanup(collection);
+
+      var result = [];
+      for (var type in groups) {
+        var related = yield this._find(Object.keys(groups[type]), extend({}, options, { to: types[type] }));
+        var indexes = this._index(related, to);
+
+        collection.forEach(function(entity) {
+          var isModel = entity instanceof Model;
+          if ((isModel ? entity.get(typeKey) : entity[typeKey]) !== type) {
+            return;
+          }
+          var index = indexes[this._hash(this.keyValue(entity, 'from'))];
+          if (index === undefined) {
+            return;
+          }
+          var value = Array.isArray(related) ? related[index] : related.get(index);
+          if (isModel) {
+            entity.set(name, value);
+          } else {
+            entity[name] = value;
+          }
+        }.bind(this));
+        related.forEach(function(entity) {
+          result.push(entity);
+        });
+      }
+      return result;
+    }.bind(this));
+  }
+
   /**
    * Saves a relation.
    *
@@ -82,15 +179,19 @@ class BelongsTo extends Relationship {
 
       var result = yield related.save(options);
 
-      var keys = this.keys();
-      var from = this.keys('from');
-      var to = this.keys('to');
+      var from = [].concat(this.keys('from'));
+      var to = [].concat(this.keys('to'));
 
       var conditions = {};
-      if (!related.has(to)) {
-        throw new Error ("The `'" + to + "'` key is missing from related data.");
+      to.forEach(function(name, i) {
+        if (!related.has(name)) {
+          throw new Error ("The `'" + name + "'` key is missing from related data.");
+        }
+        conditions[from[i]] = related.get(name);
+      });
+      if (this.types()) {
+        conditions[this.typeKey()] = this.typeOf(related);
       }
-      conditions[from] = related.get(to);
 
       entity.set(conditions);
 
@@ -30,6 +30,8 @@ class HasManyThrough extends Relationship {
    *                      - `'fields'`      _mixed_  : An array of the subset of fields that should be selected
    *                                                   from the related object(s) by default. If set to `true` (the default), all
    *                                                   fields are selected.
+   *                      - `'onDelete'`    _string_ : What to do with pivot entities when entities are deleted, `'cascade'` and
+   *                                                   `'nullify'` remove them, `'restrict'` rejects the delete. Related entities are kept.
    *                      - `'conventions'` _object_ : The naming conventions instance to use.
    */
   constructor(config) {
@@ -42,6 +44,7 @@ class HasManyThrough extends Relationship {
       using: '',
       link: this.constructor.LINK_KEY,
       fields: true,
+      onDelete: undefined,
       conventions: undefined
     };
 
@@ -64,6 +67,7 @@ class HasManyThrough extends Relationship {
     this._from = config.from;
     this._link = config.link;
     this._fields = config.fields;
+    this.onDelete(config.onDelete);
 
     /**
      * The relation name of the pivot.
@@ -81,7 +85,9 @@ class HasManyThrough extends Relationship {
 
     var from = this.from();
     var relThrough = from.definition().relation(this.through());
-    relThrough.junction(true);
+    if (this.isMany()) {
+      relThrough.junction(true);
+    }
     var pivot = relThrough.to();
     var relUsing = pivot.definition().relation(this.using());
 
@@ -164,26 +170,112 @@ class HasManyThrough extends Relationship {
     }.bind(this));
   }
 
+  /**
+   * Returns the definitions of some aggregates of the related data (see `Relationship.aggregates()`).
+   *
+   * Only counts are supported, they are computed on pivot entities.
+   *
+   * @param  Object query The aggregates definition.
+   * @param  String name  The relation name to use as prefix (defaults to `name()`).
+   * @return Array
+   */
+  aggregates(query, name) {
+    query = query || {};
+    if (query.sum || query.min || query.max) {
+      throw new Error("Only counts are supported on `'hasManyThrough'` relations.");
+    }
+    return this._relThrough().aggregates(query, name || this.name());
+  }
+
+  /**
+   * Computes some aggregates of the related data for a collection of entities.
+   *
+   * Only counts are supported, they are computed on pivot entities.
+   *
+   * @param  mixed  collection The collection to compute aggregates for.
+   * @param  Object query      The aggregates definition.
+   * @param  Object options    The embedging options.
+   * @return Promise
+   */
+  aggregate(collection, query, options) {
+    query = query || {};
+    if (query.sum || query.min || query.max) {
+      return Promise.reject(new Error("Only counts are supported on `'hasManyThrough'` relations."));
+    }
+    return this._relThrough().aggregate(collection, query, extend({}, options, { name: this.name() }));
+  }
+
+  /**
+   * Loads the pivot entities of a collection of entities.
+   *
+   * @param  mixed   collection The collection of entities.
+   * @return Promise            The collection of pivot entities.
+   */
+  dependents(collection) {
+    return this._relThrough().dependents(collection);
+  }
+
   /**
    * Saves a relation.
    *
+   * The saving is delegated to the pivot relation which saves pivot entities along with their
+   * target entities (i.e. new target entities are saved first to populate pivots foreign keys)
+   * and removes the stale pivot entities.
+   *
    * @param  Object  entity  The relation's entity
    * @param  Object  options Saving options.
    * @return Promise
    */
   save(entity, options) {
-    return Promise.resolve(true);
+    return co(function*() {
+      if (this.link() !== this.constructor.LINK_KEY) {
+        return true;
+      }
+      if (!entity.has(this.through())) {
+        return true;
+      }
+      return yield this._relThrough().save(entity, this._throughOptions(options));
+    }.bind(this));
   }
 
   /**
    * Validating an entity relation.
    *
+   * The validation cascades into pivot entities and their target entities.
+   *
    * @param  Object   entity  The relation's entity
    * @param  Object   options Saving options.
    * @return Promise
    */
   validates(entity, options) {
-    return Promise.resolve(true);
+    return co(function*() {
+      if (!entity.has(this.through())) {
+        return true;
+      }
+      return yield this._relThrough().validates(entity, this._throughOptions(options));
+    }.bind(this));
+  }
+
+  /**
+   * Returns the pivot relation.
+   *
+   * @return Object
+   */
+  _relThrough() {
+    return this.from().definition().relation(this.through());
+  }
+
+  /**
+   * Builds the options to forward to the pivot relation, the relations to embed
+   * for the target entities are nested under the `using` relation name.
+   *
+   * @param  Object options The relation options.
+   * @return Object
+   */
+  _throughOptions(options) {
+    options = extend({}, options);
+    options.embed = { [this.using()]: { embed: options.embed || false } };
+    return options;
   }
 }
 
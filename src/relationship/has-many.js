@@ -56,24 +56,55 @@ class HasMany extends Relationship {
   /**
    * Expands a collection of entities by adding their related data.
    *
+   * The `'limitPerParent'` query option allows to limit the number of related entities per entity.
+   * It's applied by the datasource through the `limitPerParent()` method of queries when available,
+   * otherwise the related entities are trimmed according to the query order once fetched.
+   *
    * @param  mixed      collection The collection to expand.
    * @param  Object     options    The embedging options.
    * @return Collection            The collection of related entities.
    */
   embed(collection, options) {
     return co(function*() {
+      options = extend({}, options);
+      options.query = extend({}, options.query);
+      var limit = options.query.limitPerParent;
+      delete options.query.limitPerParent;
+
       var indexes = this._index(collection, this.keys('from'));
-      var related = yield this._find(Object.keys(indexes), options);
+      var ids = Object.keys(indexes);
+      var criteria = limit ? this._query(ids, options) : null;
+      var related;
+
+      if (criteria) {
+        var finder = this.to().find(criteria);
+        if (this.link() === this.constructor.LINK_KEY && typeof finder.limitPerParent === 'function') {
+          finder.limitPerParent(this.keys('to'), limit);
+          limit = undefined;
+        }
+        related = yield finder.all(options.fetchOptions);
+      } else {
+        related = yield this._find(ids, options);
+      }
       var name = this.name();
-      var value;
+      var value, counts = {};
 
       this._cleanup(collection);
 
-      related.forEach(function(entity, index) {
-        var values = entity instanceof Model ? entity.get(this.keys('to')) : entity[this.keys('to')];
-        values = Array.isArray(values) || values instanceof Collection || values instanceof Through ? values : [values];
+      var kept = related.filter(function(entity) {
+        var embedded = false;
+        var values = this.keyValue(entity, 'to');
+        var list = !Array.isArray(this.keys('to')) && (Array.isArray(values) || values instanceof Collection || values instanceof Through);
+        values = list ? values : [values];
         values.forEach(function(value) {
-          value = String(value);
+          value = this._hash(value);
+          if (limit) {
+            counts[value] = (counts[value] || 0) + 1;
+            if (counts[value] > limit) {
+              return;
+            }
+          }
+          embedded = true;
           if (indexes[value] !== undefined) {
             if (Array.isArray(collection)) {
               if (collection[indexes[value]] instanceof Model) {
@@ -89,10 +120,11 @@ class HasMany extends Relationship {
               }
             }
           }
-        });
+        }.bind(this));
+        return embedded;
       }.bind(this));
 
-      return related;
+      return limit ? kept : related;
 
     }.bind(this));
   }
@@ -100,12 +132,18 @@ class HasMany extends Relationship {
   /**
    * Saves a relation.
    *
+   * For `LINK_KEY_LIST` relations, related entities are saved first and the key list
+   * of the entity is rebuilt from them (see `_saveKeyList()`).
+   *
    * @param  Object  entity  The relation's entity
    * @param  Object  options Saving options.
    * @return Promise
    */
   save(entity, options) {
     return co(function*() {
+      if (this.link() === this.constructor.LINK_KEY_LIST) {
+        return yield this._saveKeyList(entity, options);
+      }
       if (this.link() !== this.constructor.LINK_KEY) {
         return true;
       }
@@ -120,14 +158,15 @@ class HasMany extends Relationship {
       var previous = yield to.all({ conditions: conditions });
       var existing = {};
 
-      var indexes = this._index(previous, this.keys('from'));
+      var indexes = this._index(previous, to.definition().key());
       var result = true;
       var collection = entity.get(name);
 
       for (var item of collection) {
         yield item.sync();
-        if (item.exists() && indexes[item.id()] !== undefined) {
-          existing[indexes[item.id()]] = true;
+        var index = item.exists() ? indexes[this._hash(item.id())] : undefined;
+        if (index !== undefined) {
+          existing[index] = true;
         }
         item.set(conditions);
         result = result && (yield item.save(options));
@@ -142,10 +181,12 @@ class HasMany extends Relationship {
           }
         });
       } else {
-        var toKey = this.keys('to');
+        var toKeys = [].concat(this.keys('to'));
         previous.forEach(function (item, index) {
           if (!existing[index]) {
-            item.unset(toKey);
+            for (var toKey of toKeys) {
+              item.unset(toKey);
+            }
             promises.push(item.save());
           }
         });
@@ -154,6 +195,42 @@ class HasMany extends Relationship {
       return result;
     }.bind(this));
   }
+
+  /**
+   * Saves a key list relation.
+   *
+   * Related entities are saved and the key list is replaced by their keys, so removed entities
+   * are removed from the key list too. Since the key list belongs to the entity, it must be called
+   * before the entity is persisted.
+   *
+   * @param  Object  entity  The relation's entity
+   * @param  Object  options Saving options.
+   * @return Promise
+   */
+  _saveKeyList(entity, options) {
+    return co(function*() {
+      var name = this.name();
+      if (!entity.has(name)) {
+        return true;
+      }
+
+      var from = this.keys('from');
+      var to = this.keys('to');
+      var keys = [];
+
+      for (var item of entity.get(name)) {
+        if (!(yield item.save(options))) {
+          return false;
+        }
+        if (!item.has(to)) {
+          throw new Error ("The `'" + to + "'` key is missing from related data.");
+        }
+        keys.push(item.get(to));
+      }
+      entity.set(from, keys);
+      return true;
+    }.bind(this));
+  }
 }
 
 module.exports = HasMany;
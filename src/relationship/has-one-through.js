@@ -0,0 +1,81 @@
+var co = require('co');
+var HasManyThrough = require('./has-many-through');
+var Document = require('../document');
+
+/**
+ * The `HasOneThrough` relationship.
+ *
+ * The related entity is reached through an intermediate relation (i.e. `Image → Gallery → GalleryDetail`).
+ * Entities don't store the related entity, it's read from (and written to) the intermediate entity.
+ */
+class HasOneThrough extends HasManyThrough {
+  /**
+   * Constructs an object that represents a relationship between two model classes.
+   *
+   * @see HasManyThrough
+   * @param Object config The relationship's configuration, the `'through'` and `'using'`
+   *                      relations can't be `hasMany` relations.
+   */
+  constructor(config) {
+    if (config && config.onDelete != null) {
+      throw new Error("The `'onDelete'` option is not supported by `'hasOneThrough'` relations.");
+    }
+    super(config);
+
+    var relThrough = this._relThrough();
+    var relUsing = relThrough.to().definition().relation(this.using());
+
+    if (relThrough.isMany() || relUsing.isMany()) {
+      throw new Error("The `'" + this.name() + "'` relation can't be a `hasOneThrough` relation, `'" + this.through() + "." + this.using() + "'` is not a one-to-one path.");
+    }
+  }
+
+  /**
+   * Expands a collection of entities by adding their related data.
+   *
+   * Only plain objects are expanded, entities read their related entity from the intermediate entity.
+   *
+   * @param  mixed      collection The collection to expand.
+   * @param  Object     options    The embedding options.
+   * @return Promise
+   */
+  embed(collection, options) {
+    return co(function*() {
+      var name = this.name();
+      var through = this.through();
+      var using = this.using();
+
+      collection.forEach(function(entity) {
+        if (entity instanceof Document) {
+          return;
+        }
+        entity[name] = entity[through] && entity[through][using] ? entity[through][using] : null;
+      });
+    }.bind(this));
+  }
+
+  /**
+   * Aggregates are not supported on `hasOneThrough` relations.
+   *
+   * @param  Object query The aggregates definition.
+   * @param  String name  The relation name to use as prefix.
+   * @return Array
+   */
+  aggregates(query, name) {
+    throw new Error("Aggregates are not supported on `'hasOneThrough'` relations.");
+  }
+
+  /**
+   * Aggregates are not supported on `hasOneThrough` relations.
+   *
+   * @param  mixed  collection The collection to compute aggregates for.
+   * @param  Object query      The aggregates definition.
+   * @param  Object options    The embedging options.
+   * @return Promise
+   */
+  aggregate(collection, query, options) {
+    return Promise.reject(new Error("Aggregates are not supported on `'hasOneThrough'` relations."));
+  }
+}
+
+module.exports = HasOneThrough;
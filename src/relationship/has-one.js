@@ -26,7 +26,7 @@ class HasOne extends Relationship {
 
       related.forEach(function(entity, index) {
         if (entity instanceof Model) {
-          value = String(entity.get(this.keys('to')));
+          value = this._hash(this.keyValue(entity, 'to'));
           if (indexes[value] !== undefined) {
             if (Array.isArray(collection)) {
               collection[indexes[value]].set(name, entity);
@@ -35,7 +35,7 @@ class HasOne extends Relationship {
             }
           }
         } else {
-          value = String(entity[this.keys('to')]);
+          value = this._hash(this.keyValue(entity, 'to'));
           if (indexes[value] !== undefined) {
             if (Array.isArray(collection)) {
               collection[indexes[value]][name] = entity;
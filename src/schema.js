@@ -13,10 +13,78 @@ var Conventions = require('./conventions');
 var Collection = require('./collection/collection');
 var Through = require('./collection/through');
 var Relationship = require('./relationship');
+var Profiler = require('./profiler');
 var BelongsTo = require('./relationship/belongs-to');
 var HasOne = require('./relationship/has-one');
 var HasMany = require('./relationship/has-many');
 var HasManyThrough = require('./relationship/has-many-through');
+var HasOneThrough = require('./relationship/has-one-through');
+
+function callHooks(name, collection, options) {
+  return co(function*() {
+    for (var entity of collection) {
+      if (typeof entity.constructor.callHooks !== 'function') {
+        continue;
+      }
+      if (!(yield entity.constructor.callHooks(name, entity, options))) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+function snapshot(instance, snapshots) {
+  if (snapshots.has(instance)) {
+    return;
+  }
+  var isCollection = Array.isArray(instance._data);
+  snapshots.set(instance, {
+    exists: instance._exists,
+    original: isCollection ? instance._original.slice() : extend({}, instance._original),
+    data: isCollection ? instance._data.slice() : extend({}, instance._data),
+    modified: instance._modified
+  });
+
+  var schema = instance.schema();
+  for (var key in instance._data) {
+    var value = instance._data[key];
+    if (!value || typeof value.amend !== 'function' || value instanceof Model) {
+      continue;
+    }
+    if (!isCollection && schema.hasRelation(key, false)) {
+      continue;
+    }
+    snapshot(value, snapshots);
+  }
+}
+
+function rollback(snapshots) {
+  for (var [instance, state] of snapshots) {
+    if (instance instanceof Model && instance.constructor.unicity() && !state.exists) {
+      var id = instance.constructor.identity(instance.id());
+      var shard = instance.constructor.shard();
+      if (id != null && shard.get(id) === instance) {
+        shard.delete(id);
+      }
+    }
+    instance._exists = state.exists;
+    instance._original = state.original;
+    instance._data = state.data;
+    if (state.modified !== undefined) {
+      instance._modified = state.modified;
+    }
+  }
+}
+
+function hydrated(collection, name) {
+  for (var entity of collection) {
+    var value = entity instanceof Model ? entity._data[name] : undefined;
+    if (value instanceof Collection) {
+      value._original = value._data.slice();
+    }
+  }
+}
 
 function arrayDiff(a, b) {
   var len = a.length;
@@ -30,6 +98,21 @@ function arrayDiff(a, b) {
   return arr;
 }
 
+function modifiedPaths(document, prefix) {
+  var paths = [];
+  prefix = prefix || '';
+
+  for (var name of document.modified({ return: true })) {
+    var value = document._data[name];
+    var nested = [];
+    if (value instanceof Document && !(value instanceof Model) && value === document._original[name]) {
+      nested = modifiedPaths(value, prefix + name + '.');
+    }
+    Array.prototype.push.apply(paths, nested.length ? nested : [prefix + name]);
+  }
+  return paths;
+}
+
 function normalize(array) {
   var i, len, key, result = {};
 
@@ -60,6 +143,19 @@ function normalize(array) {
   return result;
 }
 
+function isThrough(relation) {
+  return relation === 'hasManyThrough' || relation === 'hasOneThrough';
+}
+
+function isAggregate(query) {
+  if (!query || typeof query !== 'object') {
+    return false;
+  }
+  return Relationship.AGGREGATES.some(function(type) {
+    return query[type] !== undefined;
+  });
+}
+
 class Schema {
 
   /**
@@ -102,10 +198,12 @@ class Schema {
    *                                                    - `'tablespace'` _string_: the tablespace value to use for the table.
    *                      - `'handlers'`    _Object_   : casting handlers.
    *                      - `'conventions'` _Function_ : The naming conventions instance.
+   *                      - `'connection'`  _Object_   : The connection instance.
    *                      - `'classes'`     _Object_   : The class dependencies.
    */
   constructor(config) {
     var defaults = {
+      connection: undefined,
       source: undefined,
       class: Document,
       locked: true,
@@ -116,6 +214,8 @@ class Schema {
       classes: extend({}, this.constructor.classes())
     };
 
+    var connection = config && config.connection;
+
     config = merge({}, defaults, config);
 
     /**
@@ -153,6 +253,13 @@ class Schema {
      */
     this._conventions = config.conventions ? config.conventions : new Conventions();
 
+    /**
+     * The connection instance.
+     *
+     * @var Object
+     */
+    this._connection = connection;
+
     /**
      * The fields.
      *
@@ -174,6 +281,34 @@ class Schema {
      */
     this._reference = config.class;
 
+    /**
+     * The Single Table Inheritance definition.
+     *
+     * @var Object
+     */
+    this._inheritance = undefined;
+
+    /**
+     * The soft delete definition.
+     *
+     * @var Object
+     */
+    this._softDelete = undefined;
+
+    /**
+     * The timestamps definition.
+     *
+     * @var Object
+     */
+    this._timestamps = undefined;
+
+    /**
+     * The optimistic locking definition.
+     *
+     * @var Object
+     */
+    this._versioning = undefined;
+
     /**
      * The primary key field name.
      *
@@ -247,6 +382,20 @@ class Schema {
     return this._classes;
   }
 
+  /**
+   * Gets/sets the connection object to which this schema is bound.
+   *
+   * @param  Object connection The connection instance to set or nothing to get the current one.
+   * @return mixed             Returns the connection on get or `this` on set.
+   */
+  connection(connection) {
+    if (arguments.length) {
+      this._connection = connection;
+      return this;
+    }
+    return this._connection;
+  }
+
   /**
    * Gets/sets the source name.
    *
@@ -275,6 +424,160 @@ class Schema {
     return this;
   }
 
+  /**
+   * Gets/sets the Single Table Inheritance definition.
+   *
+   * The discriminator field value of an entity determines which class is used to hydrate it. All classes of
+   * the hierarchy share the source of the root class (i.e. the nearest class which is not a `map` value).
+   *
+   * Example:
+   * ```js
+   * schema.inheritance({ field: 'type', map: { admin: Admin, member: Member } });
+   * ```
+   *
+   * @param  Object inheritance The inheritance definition to set or none to get it:
+   *                            - `'field'` _String_ : The discriminator field name (defaults to `'type'`).
+   *                            - `'map'`   _Object_ : The discriminator values as keys and the classes as values.
+   * @return mixed              The inheritance definition on get or `this` on set.
+   */
+  inheritance(inheritance) {
+    if (!arguments.length) {
+      return this._inheritance;
+    }
+    if (!inheritance) {
+      this._inheritance = undefined;
+      return this;
+    }
+    var defaults = {
+      field: 'type',
+      map: {}
+    };
+    inheritance = extend({}, defaults, inheritance);
+    var classes = Object.keys(inheritance.map).map(function(value) {
+      return inheritance.map[value];
+    });
+
+    var root = this.reference();
+    while (classes.indexOf(root) !== -1) {
+      var parent = Object.getPrototypeOf(root);
+      if (parent === Model || parent === Document || typeof parent.definition !== 'function') {
+        break;
+      }
+      root = parent;
+    }
+    inheritance.root = root;
+    this._inheritance = inheritance;
+
+    if (root !== this.reference()) {
+      this.source(root.definition().source());
+    }
+    return this;
+  }
+
+  /**
+   * Gets/sets the soft delete definition. When enabled, deleted entities are flagged using a
+   * timestamp field instead of being removed and trashed rows are excluded by `Model.find()`.
+   *
+   * Example:
+   * ```js
+   * schema.softDelete({ field: 'deleted_at' });
+   * ```
+   *
+   * @param  mixed softDelete The soft delete definition to set (`true` to use default values) or none to get it:
+   *                          - `'field'` _String_ : The timestamp field name (defaults to `'deleted_at'`).
+   * @return mixed            The soft delete definition on get or `this` on set.
+   */
+  softDelete(softDelete) {
+    if (!arguments.length) {
+      return this._softDelete;
+    }
+    if (!softDelete) {
+      this._softDelete = undefined;
+      return this;
+    }
+    var defaults = {
+      field: 'deleted_at'
+    };
+    softDelete = extend({}, defaults, softDelete === true ? {} : softDelete);
+    if (!this.has(softDelete.field)) {
+      this.column(softDelete.field, { type: 'datetime', null: true });
+    }
+    this._softDelete = softDelete;
+    return this;
+  }
+
+  /**
+   * Gets/sets the timestamps definition. When enabled, the creation timestamp is filled in on
+   * inserts and the update timestamp on inserts & updates of modified entities.
+   *
+   * Example:
+   * ```js
+   * schema.timestamps({ created: 'created_at', updated: 'updated_at' });
+   * ```
+   *
+   * @param  mixed timestamps The timestamps definition to set (`true` to use default values) or none to get it:
+   *                          - `'created'` _String_ : The creation field name (defaults to `'created_at'`, `false` to disable).
+   *                          - `'updated'` _String_ : The update field name (defaults to `'updated_at'`, `false` to disable).
+   * @return mixed            The timestamps definition on get or `this` on set.
+   */
+  timestamps(timestamps) {
+    if (!arguments.length) {
+      return this._timestamps;
+    }
+    if (!timestamps) {
+      this._timestamps = undefined;
+      return this;
+    }
+    var defaults = {
+      created: 'created_at',
+      updated: 'updated_at'
+    };
+    timestamps = extend({}, defaults, timestamps === true ? {} : timestamps);
+    for (var name of [timestamps.created, timestamps.updated]) {
+      if (name && !this.has(name)) {
+        this.column(name, { type: 'datetime', null: true });
+      }
+    }
+    this._timestamps = timestamps;
+    return this;
+  }
+
+  /**
+   * Gets/sets the optimistic locking definition. When enabled, a version field is incremented on
+   * each update and updates of entities whose version changed since they were loaded are rejected
+   * with a `StaleEntityError`.
+   *
+   * Example:
+   * ```js
+   * schema.versioning({ field: 'version' });
+   * ```
+   *
+   * Note: datasources must only update rows matching the version the entity was loaded with (i.e.
+   * `entity.original(field)`).
+   *
+   * @param  mixed versioning The versioning definition to set (`true` to use default values) or none to get it:
+   *                          - `'field'` _String_ : The version field name (defaults to `'version'`).
+   * @return mixed            The versioning definition on get or `this` on set.
+   */
+  versioning(versioning) {
+    if (!arguments.length) {
+      return this._versioning;
+    }
+    if (!versioning) {
+      this._versioning = undefined;
+      return this;
+    }
+    var defaults = {
+      field: 'version'
+    };
+    versioning = extend({}, defaults, versioning === true ? {} : versioning);
+    if (!this.has(versioning.field)) {
+      this.column(versioning.field, { type: 'integer' });
+    }
+    this._versioning = versioning;
+    return this;
+  }
+
   /**
    * Sets the schema lock type. When Locked all extra fields which
    * are not part of the schema should be filtered out before saving.
@@ -331,8 +634,9 @@ class Schema {
   /**
    * Gets/sets the primary key field name of the schema.
    *
-   * @param  String key The name or the primary key field name or none to get the defined one.
-   * @return String
+   * @param  mixed key The name or the primary key field name, an array of field names for
+   *                   compound keys or none to get the defined one.
+   * @return mixed
    */
   key(key) {
     if (!arguments.length) {
@@ -434,7 +738,9 @@ class Schema {
           continue;
         }
         if (value['null'] && !value['array']) {
-          defaults[rel.keys('from')] = null;
+          for (var from of [].concat(rel.keys('from'))) {
+            defaults[from] = null;
+          }
         }
       }
     }
@@ -688,6 +994,25 @@ class Schema {
     return this.bind(name, config);
   }
 
+  /**
+   * Sets a hasOneThrough relation.
+   *
+   * @param  String    name    The name of the relation (i.e. field name where it will be binded).
+   * @param  String    through the intermediate relation name.
+   * @param  String    using   the target relation name in the through relation.
+   * @param  Array     config  The configuration that should be specified in the relationship.
+   *                           See the `Relationship` class for more information.
+   * @return Boolean
+   */
+  hasOneThrough(name, through, using, config) {
+    config = extend({}, {
+      through: through,
+      using: using,
+      relation: 'hasOneThrough'
+    }, config);
+    return this.bind(name, config);
+  }
+
   /**
    * Lazy bind a relation.
    *
@@ -715,33 +1040,49 @@ class Schema {
       throw new Error("Binding requires `'from'` option to be set.");
     }
     if (!config.to) {
-      if (config.relation !== 'hasManyThrough') {
+      if (!isThrough(config.relation)) {
         throw new Error("Binding requires `'to'` option to be set.");
       }
-    } else {
-      config.to = typeof config.to === 'string' ? this.reference().registered(config.to) : config.to;
+    } else if (typeof config.to === 'string') {
+      config.to = this.reference().registered(config.to);
+    } else if (typeof config.to === 'object') {
+      var types = Array.isArray(config.to) ? [] : {};
+      for (var type in config.to) {
+        var model = config.to[type];
+        types[type] = typeof model === 'string' ? this.reference().registered(model) : model;
+      }
+      config.to = types;
     }
 
     config.array = config.relation.match(/Many/);
     config.type = config.array ? 'set' : config.type;
 
-    if (config.relation === 'hasManyThrough') {
+    if (isThrough(config.relation)) {
       if (!config.through) {
         throw new Error("Missing through name for `'" + name + "'` relation.");
       }
       if (!this._relations[config.through]) {
         throw new Error("Unexisting through relation `'" + config.through + "'`, needed to be created first.");
       }
-      this._relations[config.through].junction = true;
       if (!config.using) {
         config.using = this.conventions().apply('single', name);
       }
-      config.type = 'through';
-      this._relations[config.through].junction = true;
+      if (config.relation === 'hasManyThrough') {
+        config.type = 'through';
+        this._relations[config.through].junction = true;
+      }
     } else if (config.relation === 'belongsTo' && config.link === relationship.LINK_KEY) {
-      var fieldName = config.keys && Object.keys(config.keys)[0] ? Object.keys(config.keys)[0] : this.conventions().apply('reference', name);
-      if (!this._columns.has(fieldName)) {
-        this.column(fieldName, { type: 'id', array: false, null: !!config.null });
+      var fieldNames = config.keys && Object.keys(config.keys).length ? Object.keys(config.keys) : [this.conventions().apply('reference', name)];
+      for (var fieldName of fieldNames) {
+        if (!this._columns.has(fieldName)) {
+          this.column(fieldName, { type: 'id', array: false, null: !!config.null });
+        }
+      }
+      if (typeof config.to === 'object') {
+        config.typeKey = config.typeKey || this.conventions().apply('referenceType', name);
+        if (!this._columns.has(config.typeKey)) {
+          this.column(config.typeKey, { type: 'string', null: !!config.null });
+        }
       }
     } else if (config.relation === 'hasMany' && config.link === relationship.LINK_KEY_LIST) {
       var fieldName = config.keys && Object.keys(config.keys)[0] ? Object.keys(config.keys)[0] : this.conventions().apply('references', name);
@@ -836,22 +1177,58 @@ class Schema {
   /**
    * Eager loads relations.
    *
+   * A relation defined with `'count'`, `'sum'`, `'min'` or `'max'` options is not loaded,
+   * only its aggregates are computed (see `Relationship.aggregate()`).
+   *
    * @param Object collection The collection to extend.
    * @param Object relations  The relations to eager load.
    * @param Object options    The fetching options.
    */
   embed(collection, relations, options) {
     return co(function*() {
-      var habtm = [], tree = {}, rel, subrelations, path, to, key, query, matches;
+      var profiler = Profiler.active();
+      var done = profiler ? profiler.embed(this, relations) : undefined;
+      try {
+        return yield this._embed(collection, relations, options);
+      } finally {
+        if (done) {
+          done();
+        }
+      }
+    }.bind(this));
+  }
+
+  /**
+   * Eager loads relations (see `embed()`).
+   *
+   * @param Object collection The collection to extend.
+   * @param Object relations  The relations to eager load.
+   * @param Object options    The fetching options.
+   */
+  _embed(collection, relations, options) {
+    return co(function*() {
+      var habtm = [], tree = {}, aggregates = {}, rel, subrelations, path, to, key, query, matches;
       options = options || {};
 
+      relations = extend({}, normalize(relations));
+      for (path in relations) {
+        if (path.indexOf('.') === -1 && isAggregate(relations[path])) {
+          this.relation(path).aggregates(relations[path]);
+          aggregates[path] = relations[path];
+          delete relations[path];
+        }
+      }
+
       relations = this.expand(relations);
       tree = this.treeify(relations);
 
       for (var name in tree) {
 
         rel = this.relation(name);
-        if (rel.type() === 'hasManyThrough') {
+        if (rel.link() === Relationship.LINK_CONTAINED) {
+          continue;
+        }
+        if (isThrough(rel.type())) {
           habtm.push(name);
           continue;
         }
@@ -865,6 +1242,8 @@ class Schema {
         }
 
         var related = yield rel.embed(collection, options);
+        // Loaded related entities are the original state used by `diff()`.
+        hydrated(collection, name);
         subrelations = {};
         for (path in relations) {
           matches = path.match(new RegExp('^' + name + '\.(.*)$'));
@@ -872,8 +1251,28 @@ class Schema {
             subrelations[matches[1]] = relations[path];
           }
         }
-        if (Object.keys(subrelations).length) {
+        if (!Object.keys(subrelations).length) {
+          continue;
+        }
+        if (!rel.types()) {
           yield to.definition().embed(related, subrelations, options);
+          continue;
+        }
+        var types = rel.types();
+        for (var type in types) {
+          var schema = types[type].definition();
+          var entities = related.filter(function(entity) {
+            return entity instanceof Model && rel.typeOf(entity) === type;
+          });
+          var typeRelations = {};
+          for (path in subrelations) {
+            if (schema.hasRelation(path.split('.')[0])) {
+              typeRelations[path] = subrelations[path];
+            }
+          }
+          if (entities.length && Object.keys(typeRelations).length) {
+            yield schema.embed(entities, typeRelations, options);
+          }
         }
       }
 
@@ -884,16 +1283,20 @@ class Schema {
         yield rel.embed(collection, options);
       }
 
+      for (name in aggregates) {
+        yield this.relation(name).aggregate(collection, aggregates[name], { fetchOptions: options.fetchOptions });
+      }
+
       return collection;
 
     }.bind(this));
   }
 
   /**
-   * Helper which expands all `'hasManyThrough'` relations into their full path.
+   * Helper which expands all `'hasManyThrough'` & `'hasOneThrough'` relations into their full path.
    *
    * @param  Object relations       The relations to eager load.
-   * @return Object                 The relations with expanded `'hasManyThrough'` relations.
+   * @return Object                 The relations with expanded `'hasManyThrough'` & `'hasOneThrough'` relations.
    */
   expand(relations) {
     var num, name, rel, relPath;
@@ -902,7 +1305,7 @@ class Schema {
       num = path.indexOf('.');
       name = num !== -1 ? path.substr(0, num) : path;
       var rel = this.relation(name);
-      if (rel.type() !== 'hasManyThrough') {
+      if (!isThrough(rel.type())) {
         continue;
       }
       var relPath = rel.through() + '.' + rel.using() + (num !== -1 ? '.' + path.substr(num + 1) : '');
@@ -932,7 +1335,7 @@ class Schema {
       }
 
       value = embed[relName];
-      if (this._relations[relName].relation === 'hasManyThrough') {
+      if (isThrough(this._relations[relName].relation)) {
         rel = this.relation(relName);
         if (!result[rel.through()] || !result[rel.through()].embed || !result[rel.through()].embed[rel.using()]) {
           result[rel.through()] = { embed: {} };
@@ -1095,11 +1498,13 @@ class Schema {
     options.basePath = options.embedded ? name : undefined;
     options.schema = options.embedded ? this : undefined;
 
-    if (options.relation !== 'hasManyThrough') {
-      options.class = options.to;
-    } else {
+    if (isThrough(options.relation)) {
       var through = this.relation(name);
       options.class = through.to();
+    } else if (typeof options.to === 'function') {
+      options.class = options.to;
+    } else {
+      options.class = this._polymorphicClass(name, data, options);
     }
     if (field) {
       return options.array ? this._castArray(name, data, options) : this._cast(name, data, options);
@@ -1111,6 +1516,32 @@ class Schema {
     return this.convert('cast', column.type, data, column, options);
   }
 
+  /**
+   * Returns the class to use for casting the data of a polymorphic relation.
+   *
+   * @param  String   name    The relation name.
+   * @param  Object   data    Some data to cast.
+   * @param  Object   options Options for the casting.
+   * @return Function         The class.
+   */
+  _polymorphicClass(name, data, options) {
+    if (data instanceof Document) {
+      return data.constructor;
+    }
+    var rel = this.relation(name);
+    var typeKey = rel.typeKey();
+    var parent = options.parent;
+    var type = parent && parent.has(typeKey) ? parent.get(typeKey) : undefined;
+    var types = rel.types();
+    if (type == null || !types[type]) {
+      if (data == null) {
+        return Document;
+      }
+      throw new Error("Invalid `'" + typeKey + "'` value for casting the polymorphic `'" + name + "'` relation.");
+    }
+    return types[type];
+  }
+
   /**
    * Casting helper for columns.
    *
@@ -1332,11 +1763,18 @@ class Schema {
   /**
    * Inserts and/or updates an entity or a collection of entities and its direct relationship data in the datasource.
    *
+   * When the connection supports transactions (i.e. it exposes `begin()`, `commit()` and `rollback()`),
+   * the whole saving graph is wrapped inside a transaction. On failure, the transaction is rolled back
+   * and all the saved entities recover their pre-save state (i.e. existence, original data & generated IDs).
+   *
    * @param Object   instance The entity or collection instance to save.
    * @param Object   options  Options:
-   *                          - `'whitelist'` _Object_ : An array of fields that are allowed to be saved to this record.
-   *                          - `'locked'`    _Boolean_: Lock data to the schema fields.
-   *                          - `'embed'`     _Object_ : List of relations to save.
+   *                          - `'whitelist'`   _Object_ : An array of fields that are allowed to be saved to this record.
+   *                          - `'locked'`      _Boolean_: Lock data to the schema fields.
+   *                          - `'embed'`       _Object_ : List of relations to save.
+   *                          - `'transaction'` _Boolean_: Use a transaction when available (defaults to `true`).
+   *                          - `'upsert'`      _mixed_  : The conflict target to upsert entities which are not known to exist,
+   *                                                       `true` for the primary key or some field names (see `persist()`).
    * @return Promise          Returns a promise.
    */
   save(instance, options) {
@@ -1345,7 +1783,8 @@ class Schema {
       var defaults = {
         whitelist: undefined,
         locked: this.locked(),
-        embed: false
+        embed: false,
+        transaction: true
       };
 
       options = extend({}, defaults, options);
@@ -1356,7 +1795,73 @@ class Schema {
 
       options.embed = this.treeify(options.embed);
 
-      if (!(yield this.saveRelation(instance, 'belongsTo', options))) {
+      var connection = this.connection();
+
+      if (options.snapshots || !options.transaction || !this._transactional(connection)) {
+        return yield this._save(instance, options);
+      }
+
+      options.snapshots = new Map();
+      yield connection.begin();
+
+      var success;
+      try {
+        success = yield this._save(instance, options);
+      } catch (e) {
+        yield connection.rollback();
+        rollback(options.snapshots);
+        throw e;
+      }
+      if (!success) {
+        yield connection.rollback();
+        rollback(options.snapshots);
+        return false;
+      }
+      yield connection.commit();
+      return true;
+    }.bind(this));
+  }
+
+  /**
+   * Checks whether a connection supports transactions.
+   *
+   * @param  Object  connection The connection instance.
+   * @return Boolean
+   */
+  _transactional(connection) {
+    return !!connection && ['begin', 'commit', 'rollback'].every(function(method) {
+      return typeof connection[method] === 'function';
+    });
+  }
+
+  /**
+   * Saves an entity or a collection of entities and its relations.
+   *
+   * @param Object   instance The entity or collection instance to save.
+   * @param Object   options  The normalized saving options.
+   * @return Promise          Returns a promise.
+   */
+  _save(instance, options) {
+    return co(function*() {
+      var collection = instance instanceof Model ? [instance] : instance;
+
+      if (options.snapshots) {
+        for (var entity of collection) {
+          snapshot(entity, options.snapshots);
+        }
+      }
+
+      if (!(yield callHooks('beforeSave', collection, options))) {
+        return false;
+      }
+
+      var relOptions = extend({}, options, { upsert: false });
+
+      if (!(yield this.saveRelation(instance, 'belongsTo', relOptions))) {
+        return false;
+      }
+
+      if (!(yield this.saveRelation(instance, 'hasMany', relOptions, Relationship.LINK_KEY_LIST))) {
         return false;
       }
 
@@ -1368,7 +1873,11 @@ class Schema {
       }
 
       var success = yield this.persist(instance, options);
-      return success && (yield this.saveRelation(instance, ['hasMany', 'hasOne'], options));
+      if (!success || !(yield this.saveRelation(instance, ['hasMany', 'hasOne'], relOptions, Relationship.LINK_KEY))) {
+        return false;
+      }
+      yield callHooks('afterSave', collection, options);
+      return true;
     }.bind(this));
   }
 
@@ -1379,6 +1888,13 @@ class Schema {
    * @param Object   options  Options:
    *                          - `'whitelist'` _Object_ : An array of fields that are allowed to be saved to this record.
    *                          - `'locked'`    _Boolean_: Lock data to the schema fields.
+   *                          - `'upsert'`    _mixed_  : The conflict target (`true` for the primary key or some field names).
+   *                                                     When set, entities which are not known to exist are handed to
+   *                                                     `bulkUpsert()` instead of being synced one by one.
+   *                          - `'partial'`   _Boolean_: If `true`, only the modified fields are handed to `bulkUpdate()`,
+   *                                                     modified values of embedded objects being handed as dotted
+   *                                                     paths (i.e. `'settings.theme'`). The schema's adapter must
+   *                                                     support dotted paths (defaults to `false`).
    * @return Promise          Returns a promise.
    */
   persist(instance, options) {
@@ -1386,12 +1902,32 @@ class Schema {
 
       var defaults = {
         whitelist: undefined,
-        locked: this.locked()
+        locked: this.locked(),
+        upsert: false,
+        partial: false
       };
 
       options = extend({}, defaults, options);
 
+      if (options.upsert) {
+        options.upsert = options.upsert === true ? [].concat(this.key()) : [].concat(options.upsert);
+        for (var field of options.upsert) {
+          if (!this.has(field)) {
+            throw new Error("Unexisting field `'" + field + "'` used as upsert conflict target for `" + this.reference().name + "`.");
+          }
+        }
+      }
+
       var whitelist;
+      var timestamps = this.timestamps();
+      var versioning = this.versioning();
+
+      if (options.whitelist && timestamps) {
+        options.whitelist = options.whitelist.concat([timestamps.created, timestamps.updated].filter(Boolean));
+      }
+      if (options.whitelist && versioning) {
+        options.whitelist = options.whitelist.concat([versioning.field]);
+      }
 
       if (!options.whitelist) {
         whitelist = options.locked ? this.fields() : undefined;
@@ -1407,6 +1943,7 @@ class Schema {
 
       var inserts = [];
       var updates = [];
+      var upserts = [];
 
       var filter = function(entity) {
         var fields = arrayDiff(whitelist ? whitelist : Object.keys(entity.get()), this.relations());
@@ -1419,7 +1956,23 @@ class Schema {
         return values;
       }.bind(this);
 
+      var changes = function(entity) {
+        var fields = arrayDiff(whitelist ? whitelist : Object.keys(entity.get()), this.relations());
+        var values = {};
+        for (var path of modifiedPaths(entity)) {
+          var field = path.split('.')[0];
+          if (fields.indexOf(field) !== -1 && entity.has(path) && !this.isVirtual(field)) {
+            values[path] = entity.get(path);
+          }
+        }
+        return values;
+      }.bind(this);
+
       for (var entity of collection) {
+        if (options.upsert && entity._exists !== true) {
+          upserts.push(entity);
+          continue;
+        }
         yield entity.sync();
         var exists = entity.exists();
         if (!exists) {
@@ -1428,7 +1981,106 @@ class Schema {
           updates.push(entity);
         }
       }
-      return (yield Promise.all([this.bulkInsert(inserts, filter, options), this.bulkUpdate(updates, filter, options)])).every(Boolean);
+
+      // Upserted entities are handled as insertions until their outcome is known.
+      if (!(yield callHooks('beforeCreate', inserts.concat(upserts), options)) || !(yield callHooks('beforeUpdate', updates, options))) {
+        return false;
+      }
+
+      if (timestamps) {
+        var now = new Date();
+        for (var entity of inserts.concat(upserts)) {
+          if (timestamps.created && entity.get(timestamps.created) == null) {
+            entity.set(timestamps.created, now);
+          }
+        }
+        if (timestamps.updated) {
+          for (var entity of inserts.concat(updates, upserts)) {
+            entity.set(timestamps.updated, now);
+          }
+        }
+      }
+
+      var revert = function() {
+        if (!versioning) {
+          return;
+        }
+        for (var entity of updates) {
+          entity.set(versioning.field, entity.original(versioning.field));
+        }
+      };
+
+      if (versioning) {
+        for (var entity of inserts) {
+          if (entity.get(versioning.field) == null) {
+            entity.set(versioning.field, 1);
+          }
+        }
+        for (var entity of updates) {
+          entity.set(versioning.field, (Number(entity.original(versioning.field)) || 0) + 1);
+        }
+      }
+
+      var results;
+      try {
+        results = yield Promise.all([
+          this.bulkInsert(inserts, filter, options),
+          this.bulkUpdate(updates, options.partial ? changes : filter, options),
+          upserts.length ? this.bulkUpsert(upserts, filter, options) : []
+        ]);
+      } catch (e) {
+        revert();
+        throw e;
+      }
+      if (!results.every(Boolean)) {
+        revert();
+        return false;
+      }
+      var upserted = Array.isArray(results[2]) ? results[2] : [];
+      yield callHooks('afterCreate', inserts.concat(arrayDiff(upserts, upserted)), options);
+      yield callHooks('afterUpdate', updates.concat(upserted), options);
+      yield this._touch(inserts.concat(updates, upserts), options);
+      return true;
+    }.bind(this));
+  }
+
+  /**
+   * Bumps the update timestamp of the parents of some saved entities for `belongsTo` relations
+   * having the `'touch'` option enabled.
+   *
+   * @param  Array   collection The saved entities.
+   * @param  Object  options    The saving options.
+   * @return Promise
+   */
+  _touch(collection, options) {
+    return co(function*() {
+      var touched = new Set();
+      for (var name of this.relations()) {
+        var rel = this.relation(name);
+        if (rel.type() !== 'belongsTo' || !rel.touch()) {
+          continue;
+        }
+        for (var entity of collection) {
+          var id = rel.keyValue(entity, 'from');
+          if (id == null) {
+            continue;
+          }
+          var to = rel.types() ? rel.types()[entity.get(rel.typeKey())] : rel.to();
+          if (!to || touched.has(to.name + ':' + JSON.stringify(id))) {
+            continue;
+          }
+          touched.add(to.name + ':' + JSON.stringify(id));
+          var timestamps = to.definition().timestamps();
+          if (!timestamps || !timestamps.updated) {
+            continue;
+          }
+          var parent = entity.has(name) ? entity.get(name) : yield to.first({ conditions: rel.match(entity) });
+          if (parent) {
+            parent.set(timestamps.updated, new Date());
+            yield parent.save({ snapshots: options.snapshots });
+          }
+        }
+      }
     }.bind(this));
   }
 
@@ -1438,9 +2090,10 @@ class Schema {
    * @param  Object  instance The entity or collection instance to save.
    * @param  Array   types    Type of relations to save.
    * @param  Object  options  Options array.
+   * @param  String  link     A link type to restrict the saving to (optional).
    * @return Promise          Returns a promise.
    */
-  saveRelation(instance, types, options) {
+  saveRelation(instance, types, options, link) {
     return co(function*() {
       var defaults = { embed: {} };
       options = extend({}, defaults, options);
@@ -1456,9 +2109,15 @@ class Schema {
           for (relName in options.embed) {
             value = options.embed[relName];
             rel = this.relation(relName)
-            if (!rel || rel.type() !== type) {
+            if (!rel || rel.type() !== type || (link && rel.link() !== link)) {
                 continue;
             }
+            if (options.snapshots && entity.has(relName)) {
+              var related = entity.get(relName);
+              for (var item of related instanceof Model ? [related] : related) {
+                snapshot(item, options.snapshots);
+              }
+            }
             success = (
               success &&
               (yield rel.save(entity, extend({}, options, value )))
@@ -1471,24 +2130,39 @@ class Schema {
   }
 
   /**
-   * Deletes the data associated with the current `Model`.
+   * Deletes the data associated with the current `Model`. When soft delete is enabled, entities
+   * are flagged as trashed instead of being removed.
    *
-   * @param  Object  instance The entity or collection instance to save.
+   * The `'onDelete'` behavior of relations is applied to related entities first. On soft deletes
+   * only `'restrict'` relations are checked since entities are not removed.
+   *
+   * @param  Object  instance The entity or collection instance to delete.
+   * @param  Object  options  Options:
+   *                          - `'force'`   _Boolean_ : Removes entities even if soft delete is enabled.
+   *                          - `'cascade'` _Boolean_ : Set it to `false` to ignore the `'onDelete'` behavior of relations.
    * @return Promise Success.
    */
-  delete(instance) {
+  delete(instance, options) {
     return co(function*() {
+      var defaults = {
+        force: false,
+        cascade: true
+      };
+      options = extend({}, defaults, options);
+
       var collection = instance.forEach instanceof Function ? instance : [instance];
       var key = this.key();
       if (!key) {
         throw new Error("No primary key has been defined for `" + (instance.self().name) + "`'s schema.");
       }
       var keys = [];
+      var deleted = [];
 
       for (var entity of collection) {
         yield entity.sync();
         if (entity.exists()) {
           keys.push(entity.id());
+          deleted.push(entity);
         }
       }
 
@@ -1496,16 +2170,173 @@ class Schema {
         return true;
       }
 
-      yield this.remove({ [key]: keys.length === 1 ? keys[0] : keys });
+      if (!(yield callHooks('beforeDelete', deleted, options))) {
+        return false;
+      }
+
+      if (options.cascade) {
+        var dependents = yield this._dependents(deleted, options);
+        if (!(yield this._deleteDependents(dependents, options))) {
+          return false;
+        }
+      }
+
+      var softDelete = this.softDelete();
+      if (softDelete && !options.force) {
+        var date = new Date();
+        for (var entity of deleted) {
+          entity.set(softDelete.field, date);
+        }
+        var success = yield this.bulkUpdate(deleted, function(entity) {
+          return { [softDelete.field]: entity.get(softDelete.field) };
+        }, options);
+        if (success) {
+          yield callHooks('afterDelete', deleted, options);
+        }
+        return success;
+      }
+
+      var conditions;
+      if (Array.isArray(key)) {
+        conditions = keys.map(function(id) {
+          var condition = {};
+          key.forEach(function(name, i) {
+            condition[name] = id[i];
+          });
+          return condition;
+        });
+        conditions = conditions.length === 1 ? conditions[0] : { ':or()': conditions };
+      } else {
+        conditions = { [key]: keys.length === 1 ? keys[0] : keys };
+      }
+
+      yield this.remove(conditions);
 
       for (var entity of collection) {
         entity.amend({}, { exists: false });
       }
 
+      yield callHooks('afterDelete', deleted, options);
       return true;
     }.bind(this));
   }
 
+  /**
+   * Loads the entities depending on some entities about to be deleted according to the `'onDelete'`
+   * behavior of relations.
+   *
+   * Dependents of cascaded entities are loaded recursively, so a `'restrict'` relation rejects
+   * the delete before any change is made.
+   *
+   * @param  Array   collection The entities to delete.
+   * @param  Object  options    The delete options.
+   * @return Promise            An array of `{ relation, onDelete, related, dependents }` objects.
+   */
+  _dependents(collection, options) {
+    return co(function*() {
+      var soft = this.softDelete() && !options.force;
+      var result = [];
+
+      for (var name of this.relations()) {
+        var rel = this.relation(name);
+        var onDelete = rel.onDelete();
+        if (!onDelete || (soft && onDelete !== 'restrict')) {
+          continue;
+        }
+        var related = yield rel.dependents(collection);
+        if (!related.count()) {
+          continue;
+        }
+        if (onDelete === 'restrict') {
+          throw new Error("Can't delete `" + this.reference().name + "` entities, the `'" + name + "'` relation is restricted and has related entities.");
+        }
+        if (rel.type() === 'hasManyThrough') {
+          onDelete = 'cascade';
+        }
+        result.push({
+          relation: rel,
+          onDelete: onDelete,
+          related: related,
+          dependents: onDelete === 'cascade' ? yield related.schema()._dependents(related, options) : []
+        });
+      }
+      return result;
+    }.bind(this));
+  }
+
+  /**
+   * Deletes (`'cascade'`) or detaches (`'nullify'`) the dependents loaded by `_dependents()`.
+   *
+   * @param  Array   dependents The dependents.
+   * @param  Object  options    The delete options.
+   * @return Promise Success.
+   */
+  _deleteDependents(dependents, options) {
+    return co(function*() {
+      for (var dependent of dependents) {
+        var related = dependent.related;
+
+        if (dependent.onDelete === 'nullify') {
+          var rel = dependent.relation;
+          var keys = [].concat(rel.keys('to'));
+          if (rel.as()) {
+            keys.push(rel.typeKey());
+          }
+          related.forEach(function(entity) {
+            for (var key of keys) {
+              entity.set(key, null);
+            }
+          });
+          if (!(yield related.save())) {
+            return false;
+          }
+          continue;
+        }
+
+        var schema = related.schema();
+        if (!(yield schema._deleteDependents(dependent.dependents, options))) {
+          return false;
+        }
+        if (!(yield schema.delete(related, extend({}, options, { cascade: false })))) {
+          return false;
+        }
+      }
+      return true;
+    }.bind(this));
+  }
+
+  /**
+   * Restores soft deleted entities.
+   *
+   * @param  Object  instance The entity or collection instance to restore.
+   * @param  Object  options  The update options.
+   * @return Promise Success.
+   */
+  restore(instance, options) {
+    return co(function*() {
+      var softDelete = this.softDelete();
+      if (!softDelete) {
+        throw new Error("Soft delete is not enabled for `" + this.reference().name + "`'s schema.");
+      }
+      var collection = instance.forEach instanceof Function ? instance : [instance];
+      var restored = [];
+
+      for (var entity of collection) {
+        if (entity.get(softDelete.field) != null) {
+          entity.set(softDelete.field, null);
+          restored.push(entity);
+        }
+      }
+
+      if (!restored.length) {
+        return true;
+      }
+      return yield this.bulkUpdate(restored, function(entity) {
+        return { [softDelete.field]: null };
+      }, options || {});
+    }.bind(this));
+  }
+
   /**
    * Returns a query to retrieve data from the connected data source.
    *
@@ -1531,6 +2362,9 @@ class Schema {
   /**
    * Bulk updates
    *
+   * In partial mode (see `persist()`), the values extracted by `filter` are limited to the modified fields
+   * and may contain dotted paths for values of embedded objects.
+   *
    * @param  Array    updates An array of entities to update.
    * @param  Function filter  The filter handler for which extract entities values to update.
    * @param  Object   options The save option.
@@ -1540,6 +2374,22 @@ class Schema {
     throw new Error("Missing `bulkUpdate()` implementation for `" + this.reference().name + "`'s schema.");
   }
 
+  /**
+   * Bulk upserts
+   *
+   * Entities matching an existing record on the conflict target are updated, the other ones are inserted.
+   * Upserted entities must be amended with their keys and flagged as existing.
+   *
+   * @param  Array    upserts An array of entities to upsert.
+   * @param  Function filter  The filter handler for which extract entities values to save.
+   * @param  Object   options The save option, the `'upsert'` option is the conflict target (i.e. an array of field names).
+   * @return Promise          Returns the updated entities (i.e. the other ones have been inserted) if upsert operations
+   *                          succeeded, `false` otherwise.
+   */
+  bulkUpsert(upserts, filter, options) {
+    throw new Error("Missing `bulkUpsert()` implementation for `" + this.reference().name + "`'s schema.");
+  }
+
   /**
    * Removes multiple documents or records based on a given set of criteria. **WARNING**: If no
    * criteria are specified, or if the criteria (`conditions`) is an empty value (i.e. an empty
@@ -1577,7 +2427,8 @@ Schema._classes = {
   belongsTo: BelongsTo,
   hasOne: HasOne,
   hasMany: HasMany,
-  hasManyThrough: HasManyThrough
+  hasManyThrough: HasManyThrough,
+  hasOneThrough: HasOneThrough
 };
 
 module.exports = Schema;
@@ -0,0 +1,31 @@
+/**
+ * The `StaleEntityError` is thrown when an entity can't be updated because its row has been
+ * modified (or removed) since the entity was loaded (i.e. optimistic locking).
+ */
+class StaleEntityError extends Error {
+  /**
+   * Constructor.
+   *
+   * @param String message The error message.
+   * @param Object entity  The stale entity.
+   */
+  constructor(message, entity) {
+    super(message);
+
+    /**
+     * The error name.
+     *
+     * @var String
+     */
+    this.name = 'StaleEntityError';
+
+    /**
+     * The stale entity.
+     *
+     * @var Object
+     */
+    this.entity = entity;
+  }
+}
+
+module.exports = StaleEntityError;